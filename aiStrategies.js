@@ -0,0 +1,256 @@
+/**
+ * Move selection for bot players. Every strategy receives the game, the room
+ * and the bot's ID along with the list of legal moves from
+ * `SurvivalPathGame#getLegalMoves`, and returns one of those moves.
+ */
+
+const { resolveParams } = require('./cardActions');
+
+/**
+ * Works out where a player ends up on landing at a board index, following
+ * a trap or boost there one step.
+ * @param {Object} room - The room.
+ * @param {Object} player - The landing player.
+ * @param {number} index - The board index landed on.
+ * @returns {number} The projected board square.
+ */
+function projectLanding(room, player, index) {
+  const { board, tiles = {} } = room.gameState;
+  const tile = tiles[index];
+
+  if (tile?.type === "trap") {
+    return board[Math.max(Math.min(player.checkpoint ?? 0, index), index - tile.value)];
+  }
+  if (tile?.type === "boost") return board[Math.min(board.length - 1, index + tile.value)];
+  return board[index];
+}
+
+/**
+ * Works out where a player would stand after a move, without changing state.
+ * @param {Object} room - The room.
+ * @param {Object} player - The acting player.
+ * @param {Object} move - A legal move.
+ * @returns {number} The projected board square.
+ */
+function projectPosition(room, player, move) {
+  const { card, targetPlayerId, direction } = move;
+  const { board } = room.gameState;
+  let position = player.position;
+
+  (card.actions || []).forEach(action => {
+    if (action.do === "swapPositions") {
+      position = projectLanding(room, player, board.indexOf(room.players[targetPlayerId].position));
+    } else if (action.do === "move" && (action.who ?? "self") === "self") {
+      const steps = action.steps === "value" ? card.value : action.steps;
+      const heading = (action.direction ?? "chosen") === "chosen" ? direction : action.direction;
+      const delta = heading === "backward" ? -steps : steps;
+
+      if (action.by === "square") {
+        position = Math.min(room.settings.boardSize, Math.max(1, position + delta));
+      } else {
+        const index = Math.min(board.length - 1, Math.max(0, board.indexOf(position) + delta));
+        position = projectLanding(room, player, index);
+      }
+    }
+  });
+
+  return position;
+}
+
+/**
+ * Works out how many points a move earns its player, without changing state.
+ * @param {Object} room - The room.
+ * @param {string} playerId - The acting player's ID.
+ * @param {Object} move - A legal move.
+ * @returns {number} The projected points gained.
+ */
+function projectPoints(room, playerId, move) {
+  const { card, targetPlayerId } = move;
+  return (card.actions || []).reduce((total, action) => {
+    const params = resolveParams(action, card);
+    if (action.do === "gainPoints" && (params.who !== "target" || targetPlayerId === playerId)) {
+      return total + params.amount;
+    }
+    if (action.do === "stealPoints") return total + Math.min(room.players[targetPlayerId].score, params.amount);
+    return total;
+  }, 0);
+}
+
+/**
+ * How much the smart strategy likes each card action, from the bot's point
+ * of view. Each receives the scoring context and the action's parameters;
+ * its own movement is already counted through `projectPosition`.
+ */
+const ACTION_VALUES = {
+  move(ctx, { who, steps, direction }) {
+    if (who !== "target" || !ctx.target) return 0;
+    // Pushing the target back is worth as much as pulling ahead of them
+    const heading = direction === "chosen" ? ctx.move.direction : direction;
+    return (heading === "backward" ? steps : -steps) * 2;
+  },
+  gainPoints(ctx, { who, amount }) {
+    if (who === "self") return amount;
+    if (who === "target") return ctx.target === ctx.player ? amount : -amount;
+    return 0; // everyone gains the same
+  },
+  stealPoints(ctx, { amount }) {
+    return Math.min(ctx.target.score, amount) * 2 + (ctx.target.score === ctx.leaderScore ? 3 : 0);
+  },
+  drawCards(ctx, { who, count }) {
+    if (who === "self") return count * 2;
+    if (who === "target") return -count;
+    return count;
+  },
+  discardCards(ctx, { who, count }) {
+    if (who === "self") return -count * 2;
+    return (2 + (ctx.target.position === ctx.leaderPosition ? 3 : 0)) * count;
+  },
+  stealCards(ctx, { count }) {
+    return 4 * count + ctx.target.hand.length;
+  },
+  skipTurn(ctx, { who }) {
+    if (who === "self") return -8;
+    return ctx.target.position === ctx.leaderPosition ? 8 : 2;
+  },
+  swapPositions(ctx) {
+    // Only worth it when the target is ahead of us
+    return (ctx.target.position - ctx.player.position) * 2;
+  },
+  shuffleBoard(ctx) {
+    // Gamble only when we are trailing the pack
+    return ctx.player.position < ctx.leaderPosition ? 4 : -4;
+  },
+};
+
+/**
+ * Picks a random element from an array.
+ * @param {Array} items - The candidates.
+ * @param {Function} rng - The random source.
+ * @returns {*} One of the candidates.
+ */
+function pickRandom(items, rng) {
+  return items[Math.floor(rng() * items.length)];
+}
+
+/**
+ * Returns every candidate sharing the highest score.
+ * @param {Array} moves - The legal moves.
+ * @param {Function} scoreMove - Scores a single move.
+ * @returns {Array} The best-scoring moves.
+ */
+function bestMoves(moves, scoreMove) {
+  let best = -Infinity;
+  let result = [];
+  moves.forEach(move => {
+    const score = scoreMove(move);
+    if (score > best) {
+      best = score;
+      result = [move];
+    } else if (score === best) {
+      result.push(move);
+    }
+  });
+  return result;
+}
+
+/**
+ * Plays any legal move.
+ */
+function random(game, roomId, playerId, moves) {
+  return pickRandom(moves, game.rooms[roomId].botRng);
+}
+
+/**
+ * Always moves as far forward as it can; ties go to the higher score gain.
+ */
+function greedy(game, roomId, playerId, moves) {
+  const room = game.rooms[roomId];
+  const player = room.players[playerId];
+
+  return pickRandom(bestMoves(moves, move => {
+    const progress = projectPosition(room, player, move) - player.position;
+    return progress * 100 + projectPoints(room, playerId, move);
+  }), room.botRng);
+}
+
+/**
+ * Weighs its own progress against hurting whoever is leading, choosing
+ * Steal and Swap targets by board position and score.
+ */
+function smart(game, roomId, playerId, moves) {
+  const room = game.rooms[roomId];
+  const player = room.players[playerId];
+  const opponents = Object.entries(room.players)
+    .filter(([id]) => id !== playerId && !game.areTeammates(room, playerId, id));
+  // With nobody to race (every other seat is a teammate) there is no leader to weigh against
+  if (opponents.length === 0) return greedy(game, roomId, playerId, moves);
+
+  const leaderPosition = Math.max(...opponents.map(([, p]) => p.position));
+  const leaderScore = Math.max(...opponents.map(([, p]) => p.score));
+
+  return pickRandom(bestMoves(moves, move => {
+    const { card, targetPlayerId } = move;
+    const target = room.players[targetPlayerId];
+    const progress = projectPosition(room, player, move) - player.position;
+    let value = progress * 3;
+
+    const ctx = { room, player, target, move, leaderPosition, leaderScore };
+    (card.actions || []).forEach(action => {
+      value += ACTION_VALUES[action.do]?.(ctx, resolveParams(action, card)) || 0;
+    });
+
+    // Rooms that allow it still should not see a bot turn on its own team
+    if (target && targetPlayerId !== playerId && game.areTeammates(room, playerId, targetPlayerId)) value -= 20;
+
+    // Finishing the round beats anything else
+    if (projectPosition(room, player, move) === room.settings.boardSize) value += 1000;
+
+    return value;
+  }), room.botRng);
+}
+
+const strategies = { random, greedy, smart };
+
+// How much bots that weigh their options like each kind of counter
+const COUNTER_PREFERENCE = { reflect: 3, block: 2, halve: 1 };
+
+/**
+ * Chooses a move for a bot.
+ * @param {string} strategy - The strategy name.
+ * @param {Object} game - The game instance.
+ * @param {string} roomId - The room ID.
+ * @param {string} playerId - The bot's player ID.
+ * @param {Array} moves - The legal moves.
+ * @returns {Object} The chosen move.
+ */
+function chooseMove(strategy, game, roomId, playerId, moves) {
+  const choose = strategies[strategy] || random;
+  return choose(game, roomId, playerId, moves);
+}
+
+/**
+ * Chooses how a bot answers a card aimed at it. Random bots may keep their
+ * counter for later; the others play the strongest one they hold.
+ * @param {string} strategy - The strategy name.
+ * @param {Object} game - The game instance.
+ * @param {string} roomId - The room ID.
+ * @param {string} playerId - The bot's player ID.
+ * @param {Array} counters - The playable counters as { cardIndex, card }.
+ * @returns {Object|null} The counter to play, or null to let the card through.
+ */
+function chooseCounter(strategy, game, roomId, playerId, counters) {
+  const { botRng } = game.rooms[roomId];
+  if (!counters.length) return null;
+
+  if (!strategies[strategy] || strategy === "random") {
+    return pickRandom([...counters, null], botRng);
+  }
+  return pickRandom(bestMoves(counters, ({ card }) => COUNTER_PREFERENCE[card.reaction] || 0), botRng);
+}
+
+module.exports = {
+  AI_STRATEGIES: Object.keys(strategies),
+  chooseMove,
+  chooseCounter,
+  projectPosition,
+};
@@ -0,0 +1,139 @@
+const express = require("express");
+const { GameError, ErrorCodes, toClientError } = require("./errors");
+const { BODY_SCHEMAS, validatePayload } = require("./schemas");
+const { RateLimiter, clientAddress } = require("./rateLimit");
+
+/**
+ * HTTP endpoints for tools and the web lobby. Everything here reads the same
+ * game instance the socket handlers use.
+ * @param {SurvivalPathGame} game - The game instance.
+ * @param {ProfileService} profiles - Player profiles, match history and ratings.
+ * @param {RateLimiter} [limiter] - The limiter socket events are charged to,
+ *   so creating rooms over HTTP and over sockets shares one allowance.
+ * @returns {express.Router} The API router.
+ */
+function createApiRouter(game, profiles, limiter = new RateLimiter()) {
+  const router = express.Router();
+  const startedAt = Date.now();
+  const createdRooms = new Map(); // address -> IDs of its rooms still open
+
+  game.on("roomDeleted", (roomId) => {
+    createdRooms.forEach((rooms, ip) => {
+      rooms.delete(roomId);
+      if (rooms.size === 0) createdRooms.delete(ip);
+    });
+  });
+
+  router.use(express.json());
+
+  router.get("/healthz", (req, res) => {
+    res.json({
+      status: "ok",
+      uptime: Math.round((Date.now() - startedAt) / 1000),
+      rooms: Object.keys(game.rooms).length,
+    });
+  });
+
+  router.get("/rooms", (req, res) => {
+    res.json({
+      rooms: game.getPublicRooms(),
+      watchable: game.getWatchableRooms(),
+    });
+  });
+
+  router.get("/boards", (req, res) => {
+    res.json({ boards: game.listBoards() });
+  });
+
+  router.get("/packs", (req, res) => {
+    res.json({ packs: game.listPacks() });
+  });
+
+  router.get("/rooms/:roomId", (req, res) => {
+    const { roomId } = req.params;
+    if (!game.rooms[roomId]) {
+      return res.status(404).json({
+        error: `Room with ID ${roomId} does not exist.`,
+        code: ErrorCodes.ROOM_NOT_FOUND,
+      });
+    }
+    res.json(game.getRoomMetadata(roomId));
+  });
+
+  router.get("/profiles/:profileId", (req, res) => {
+    sendProfileQuery(res, () => profiles.getProfile(req.params.profileId));
+  });
+
+  router.get("/profiles/:profileId/matches", (req, res) => {
+    sendProfileQuery(res, () => ({
+      matches: profiles.getMatchHistory(req.params.profileId, req.query.limit),
+    }));
+  });
+
+  router.get("/leaderboard", (req, res) => {
+    const minGames = req.query.minGames === undefined ? undefined : Math.max(0, Number(req.query.minGames) || 0);
+    res.json({ leaderboard: profiles.getLeaderboard({ limit: req.query.limit, minGames }) });
+  });
+
+  router.post("/rooms", (req, res) => {
+    try {
+      const ip = clientAddress(req.headers, req.socket.remoteAddress);
+      // HTTP callers never disconnect, so idle buckets are swept here
+      limiter.pruneIdle();
+      const retryAfter = limiter.consume("createRoom", `http:${ip}`, ip);
+      if (retryAfter) {
+        res.set("Retry-After", String(Math.ceil(retryAfter / 1000)));
+        throw new GameError(
+          ErrorCodes.RATE_LIMITED,
+          `Too many createRoom requests, try again in ${Math.ceil(retryAfter / 1000)}s`
+        );
+      }
+
+      const rooms = createdRooms.get(ip) || new Set();
+      if (rooms.size >= game.MAX_ROOMS_PER_CLIENT) {
+        throw new GameError(ErrorCodes.TOO_MANY_ROOMS, `You can have at most ${game.MAX_ROOMS_PER_CLIENT} open rooms`);
+      }
+
+      const { isPublic, password, settings = {} } = validatePayload("createRoom", req.body, BODY_SCHEMAS);
+
+      const roomId = game.generateRoomCode();
+      game.createRoom(roomId, isPublic, password, settings);
+      rooms.add(roomId);
+      createdRooms.set(ip, rooms);
+      game.scheduleEmptyRoomCleanup(roomId);
+      game.emit("lobbyChanged");
+
+      res.status(201).json(game.getRoomMetadata(roomId));
+    } catch (error) {
+      const { code, message } = toClientError(error);
+      const limited = code === ErrorCodes.RATE_LIMITED || code === ErrorCodes.TOO_MANY_ROOMS;
+      res.status(code === ErrorCodes.INTERNAL_ERROR ? 500 : limited ? 429 : 400).json({ error: message, code });
+    }
+  });
+
+  // A body express could not read (bad JSON, too large, ...) is answered
+  // like any other invalid request
+  router.use((error, req, res, next) => {
+    if (res.headersSent) return next(error);
+    const clientError = error.type && error.status < 500
+      ? new GameError(ErrorCodes.INVALID_PAYLOAD, error.type === "entity.parse.failed" ? "Request body is not valid JSON" : error.message)
+      : error;
+    const { code, message } = toClientError(clientError);
+    res.status(code === ErrorCodes.INTERNAL_ERROR ? 500 : error.status || 400).json({ error: message, code });
+  });
+
+  return router;
+}
+
+// Answers a profile lookup, with a 404 for an unknown profile
+function sendProfileQuery(res, query) {
+  try {
+    res.json(query());
+  } catch (error) {
+    const { code, message } = toClientError(error);
+    const status = code === ErrorCodes.PROFILE_NOT_FOUND ? 404 : code === ErrorCodes.INTERNAL_ERROR ? 500 : 400;
+    res.status(status).json({ error: message, code });
+  }
+}
+
+module.exports = createApiRouter;
@@ -0,0 +1,346 @@
+/**
+ * The primitives card effects are built from. A card in `cards.json` lists
+ * `actions`, each naming a primitive in `do` along with its parameters, and
+ * they run in order against the card's effect record. Counter cards name a
+ * `reaction` instead.
+ *
+ * Amounts, steps and counts are whole numbers or "value", which reads the
+ * card's own value so counters such as Halve can scale it.
+ */
+
+// Who a card may be aimed at: nobody, another player or any player
+const TARGET_KINDS = ["none", "opponent", "any"];
+const REACTIONS = ["block", "reflect", "halve"];
+
+/**
+ * Parameter rules: `oneOf` lists the allowed values and `amount` accepts a
+ * positive whole number or "value". A rule without a default is required.
+ */
+const ACTIONS = {
+  move: {
+    params: {
+      who: { oneOf: ["self", "target"], default: "self" },
+      steps: { amount: true },
+      direction: { oneOf: ["chosen", "forward", "backward"], default: "chosen" },
+      // "path" walks the board in order; "square" counts square numbers
+      by: { oneOf: ["path", "square"], default: "path" },
+    },
+    apply(ctx, { who, steps, direction, by }) {
+      const { board } = ctx.room.gameState;
+      const heading = direction === "chosen" ? ctx.direction : direction;
+      const delta = heading === "backward" ? -steps : steps;
+
+      playersFor(ctx, who).forEach(playerId => {
+        const player = ctx.room.players[playerId];
+        if (by === "square") {
+          player.position = Math.min(ctx.room.settings.boardSize, Math.max(1, player.position + delta));
+        } else {
+          const index = board.indexOf(player.position);
+          player.position = board[Math.min(board.length - 1, Math.max(0, index + delta))];
+        }
+        player.moves += steps;
+      });
+    },
+  },
+
+  gainPoints: {
+    params: {
+      who: { oneOf: ["self", "target", "everyone"], default: "self" },
+      amount: { amount: true },
+    },
+    apply(ctx, { who, amount }) {
+      if (amount === 0) return;
+      playersFor(ctx, who).forEach(playerId => {
+        ctx.room.players[playerId].score += amount;
+        ctx.effect.pointsMoved.push({ from: null, to: playerId, amount });
+      });
+    },
+  },
+
+  stealPoints: {
+    usesTarget: true,
+    params: {
+      amount: { amount: true },
+    },
+    check(ctx) {
+      return ctx.room.players[ctx.targetId].score <= 0 ? "Target player has no points to steal" : null;
+    },
+    apply(ctx, { amount }) {
+      const target = ctx.room.players[ctx.targetId];
+      const stolen = Math.min(target.score, amount);
+      if (stolen <= 0) return;
+      target.score -= stolen;
+      ctx.room.players[ctx.actorId].score += stolen;
+      ctx.effect.pointsMoved.push({ from: ctx.targetId, to: ctx.actorId, amount: stolen });
+    },
+  },
+
+  drawCards: {
+    params: {
+      who: { oneOf: ["self", "target", "everyone"], default: "self" },
+      count: { amount: true, default: 1 },
+    },
+    apply(ctx, { who, count }) {
+      playersFor(ctx, who).forEach(playerId => {
+        const newCards = ctx.game.drawCards(ctx.roomId, count);
+        ctx.room.players[playerId].hand.push(...newCards);
+        if (newCards.length) ctx.effect.cardsDrawn.push({ playerId, count: newCards.length });
+      });
+    },
+  },
+
+  discardCards: {
+    params: {
+      who: { oneOf: ["self", "target"], default: "target" },
+      count: { amount: true, default: 1 },
+      pick: { oneOf: ["last", "random"], default: "last" },
+    },
+    apply(ctx, { who, count, pick }) {
+      playersFor(ctx, who).forEach(playerId => {
+        const { hand } = ctx.room.players[playerId];
+        const discarded = takeCards(hand, count, pick, ctx.room.rng);
+        if (!discarded.length) return;
+        ctx.room.gameState.discardPile.push(...discarded);
+        ctx.effect.cardsDiscarded.push({ playerId, count: discarded.length });
+      });
+    },
+  },
+
+  stealCards: {
+    usesTarget: true,
+    params: {
+      count: { amount: true, default: 1 },
+      pick: { oneOf: ["last", "random"], default: "random" },
+    },
+    check(ctx) {
+      return ctx.room.players[ctx.targetId].hand.length === 0 ? "Target player has no cards to steal" : null;
+    },
+    apply(ctx, { count, pick }) {
+      const stolen = takeCards(ctx.room.players[ctx.targetId].hand, count, pick, ctx.room.rng);
+      if (!stolen.length) return;
+      ctx.room.players[ctx.actorId].hand.push(...stolen);
+      ctx.effect.cardsStolen.push({ from: ctx.targetId, to: ctx.actorId, count: stolen.length });
+    },
+  },
+
+  skipTurn: {
+    params: {
+      who: { oneOf: ["self", "target"], default: "target" },
+    },
+    apply(ctx, { who }) {
+      playersFor(ctx, who).forEach(playerId => {
+        ctx.room.players[playerId].isBlocked = true;
+        ctx.effect.blocked.push(playerId);
+      });
+    },
+  },
+
+  swapPositions: {
+    usesTarget: true,
+    params: {},
+    apply(ctx) {
+      ctx.game.swapPlaces(ctx.roomId, ctx.actorId, ctx.targetId);
+    },
+  },
+
+  shuffleBoard: {
+    params: {},
+    apply(ctx) {
+      ctx.game.shuffleBoard(ctx.roomId);
+      ctx.effect.boardShuffled = true;
+    },
+  },
+};
+
+/**
+ * Resolves a `who` parameter to player IDs.
+ * @param {Object} ctx - The action context.
+ * @param {string} who - "self", "target" or "everyone".
+ * @returns {Array} The player IDs.
+ */
+function playersFor(ctx, who) {
+  if (who === "self") return [ctx.actorId];
+  if (who === "target") return ctx.targetId ? [ctx.targetId] : [];
+  return Object.keys(ctx.room.players);
+}
+
+/**
+ * Removes cards from a hand.
+ * @param {Array} hand - The hand.
+ * @param {number} count - How many to take.
+ * @param {string} pick - "last" or "random".
+ * @param {Function} rng - The room's random source.
+ * @returns {Array} The removed cards.
+ */
+function takeCards(hand, count, pick, rng) {
+  const taken = [];
+  while (taken.length < count && hand.length) {
+    const index = pick === "random" ? Math.floor(rng() * hand.length) : hand.length - 1;
+    taken.push(...hand.splice(index, 1));
+  }
+  return taken;
+}
+
+/**
+ * Fills in an action's defaults and turns "value" amounts into numbers.
+ * @param {Object} action - The action from the card.
+ * @param {Object} card - The card, for its value.
+ * @returns {Object} The parameters the primitive receives.
+ */
+function resolveParams(action, card) {
+  const params = {};
+  Object.entries(ACTIONS[action.do].params).forEach(([name, rule]) => {
+    const value = action[name] ?? rule.default;
+    params[name] = rule.amount && value === "value" ? card.value : value;
+  });
+  return params;
+}
+
+/**
+ * Whether a card's actions act on its target.
+ * @param {Object} card - The card.
+ * @returns {boolean} True if any action needs a target.
+ */
+function actionsUseTarget(card) {
+  return (card.actions || []).some(action => {
+    const primitive = ACTIONS[action.do];
+    return primitive?.usesTarget || (action.who ?? primitive?.params.who?.default) === "target";
+  });
+}
+
+/**
+ * Whether playing a card asks the player for a direction.
+ * @param {Object} card - The card.
+ * @returns {boolean} True if it moves in the chosen direction.
+ */
+function takesDirection(card) {
+  return (card.actions || []).some(action =>
+    action.do === "move" && (action.direction ?? "chosen") === "chosen");
+}
+
+/**
+ * Checks a card's targeting rules against a chosen target.
+ * @param {Object} ctx - The action context, without an effect record.
+ * @returns {string|null} Why the target cannot be chosen, or null if it can.
+ */
+function findTargetProblem(ctx) {
+  const { card, actorId, targetId } = ctx;
+  const kind = card.target || "none";
+  if (kind === "none") return null;
+  if (kind === "opponent" && targetId === actorId) return "Cannot target yourself";
+
+  for (const action of card.actions || []) {
+    const problem = ACTIONS[action.do].check?.(ctx, resolveParams(action, card));
+    if (problem) return problem;
+  }
+  return null;
+}
+
+/**
+ * Runs a card's actions in order.
+ * @param {Object} ctx - The action context: game, roomId, room, actorId,
+ *   targetId, card, direction and the effect record to fill in.
+ */
+function runActions(ctx) {
+  (ctx.card.actions || []).forEach(action => {
+    ACTIONS[action.do].apply(ctx, resolveParams(action, ctx.card));
+  });
+}
+
+/**
+ * Describes what is wrong with one action, if anything.
+ * @param {Object} action - The action.
+ * @returns {string|null} The problem, or null if the action is valid.
+ */
+function findActionProblem(action) {
+  if (typeof action !== 'object' || action === null) return "actions must be objects";
+
+  const primitive = ACTIONS[action.do];
+  if (!primitive) return `unknown action "${action.do}"`;
+
+  for (const name of Object.keys(action)) {
+    if (name !== "do" && !primitive.params[name]) return `${action.do} has no parameter "${name}"`;
+  }
+  for (const [name, rule] of Object.entries(primitive.params)) {
+    const value = action[name];
+    if (value === undefined) {
+      if (rule.default === undefined) return `${action.do} needs "${name}"`;
+      continue;
+    }
+    if (rule.oneOf && !rule.oneOf.includes(value)) {
+      return `${action.do} "${name}" must be one of ${rule.oneOf.join(", ")}`;
+    }
+    if (rule.amount && value !== "value" && !(Number.isInteger(value) && value > 0)) {
+      return `${action.do} "${name}" must be a positive whole number or "value"`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Describes what is wrong with one card definition, if anything.
+ * @param {Object} card - The card definition.
+ * @returns {string|null} The problem, or null if the card is valid.
+ */
+function findCardProblem(card) {
+  if (typeof card !== 'object' || card === null || Array.isArray(card)) return "cards must be objects";
+  if (typeof card.type !== 'string' || !card.type) return "type must be a non-empty string";
+  if (typeof card.effect !== 'string' || !card.effect) return "effect must be a non-empty string";
+  if (card.value !== undefined && !(Number.isInteger(card.value) && card.value >= 0)) {
+    return "value must be a whole number of 0 or more";
+  }
+  if (card.count !== undefined && !(Number.isInteger(card.count) && card.count >= 1)) {
+    return "count must be a whole number of 1 or more";
+  }
+  if (card.target !== undefined && !TARGET_KINDS.includes(card.target)) {
+    return `target must be one of ${TARGET_KINDS.join(", ")}`;
+  }
+
+  if (card.reaction !== undefined) {
+    if (!REACTIONS.includes(card.reaction)) return `reaction must be one of ${REACTIONS.join(", ")}`;
+    if (card.actions !== undefined) return "a card has either actions or a reaction, not both";
+    return null;
+  }
+
+  if (!Array.isArray(card.actions) || !card.actions.length) return "actions must be a non-empty array";
+  for (const action of card.actions) {
+    const problem = findActionProblem(action);
+    if (problem) return problem;
+  }
+  if (actionsUseTarget(card) && (card.target || "none") === "none") {
+    return "actions act on a target, so target cannot be none";
+  }
+  return null;
+}
+
+/**
+ * Checks a list of card definitions, throwing on the first bad one.
+ * @param {Array} cards - The card definitions.
+ * @returns {Array} The same cards.
+ */
+function validateCards(cards) {
+  if (!Array.isArray(cards) || !cards.length) {
+    throw new Error("Card list must be a non-empty array");
+  }
+
+  const names = new Set();
+  cards.forEach((card, index) => {
+    const problem = findCardProblem(card);
+    if (problem) throw new Error(`Card ${index} (${card?.effect ?? "unnamed"}): ${problem}`);
+    if (names.has(card.effect)) throw new Error(`Card ${index}: duplicate effect "${card.effect}"`);
+    names.add(card.effect);
+  });
+  return cards;
+}
+
+module.exports = {
+  ACTIONS,
+  TARGET_KINDS,
+  REACTIONS,
+  validateCards,
+  findCardProblem,
+  findTargetProblem,
+  resolveParams,
+  runActions,
+  takesDirection,
+};
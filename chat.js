@@ -0,0 +1,179 @@
+const { GameError, ErrorCodes } = require("./errors");
+
+/**
+ * In-room chat with moderation. Players and spectators talk on separate
+ * channels so spectators cannot pass hints to the players.
+ */
+class RoomChat {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.maxLength] - Longest allowed message, in characters.
+   * @param {number} [options.historySize] - Messages kept per channel for late joiners.
+   * @param {number} [options.rateLimit] - Messages allowed per socket per window.
+   * @param {number} [options.rateWindow] - The rate limit window, in ms.
+   * @param {Array<string>} [options.bannedWords] - Words masked out of messages.
+   */
+  constructor({
+    maxLength = 300,
+    historySize = 50,
+    rateLimit = 5,
+    rateWindow = 10000,
+    bannedWords = (process.env.CHAT_BANNED_WORDS || "").split(","),
+  } = {}) {
+    this.MAX_LENGTH = maxLength;
+    this.HISTORY_SIZE = historySize;
+    this.RATE_LIMIT = rateLimit;
+    this.RATE_WINDOW = rateWindow;
+    this.CHANNELS = ["players", "spectators"];
+    this.rooms = {};
+    this.recentMessages = new Map(); // socketId -> timestamps within the window
+    this.setWordFilter(bannedWords);
+  }
+
+  /**
+   * Replaces the list of masked words.
+   * @param {Array<string>} words - The banned words.
+   */
+  setWordFilter(words) {
+    const escaped = words
+      .map(word => word.trim())
+      .filter(Boolean)
+      .map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+
+    this.wordFilter = escaped.length
+      ? new RegExp(`\\b(${escaped.join('|')})\\b`, 'gi')
+      : null;
+  }
+
+  /**
+   * Returns a room's chat state, creating it on first use.
+   * @param {string} roomId - The room ID.
+   * @returns {Object} The chat state.
+   */
+  getRoom(roomId) {
+    if (!this.rooms[roomId]) {
+      this.rooms[roomId] = {
+        history: { players: [], spectators: [] },
+        muted: new Set(),
+        nextId: 1,
+      };
+    }
+    return this.rooms[roomId];
+  }
+
+  /**
+   * Validates, filters and stores a message.
+   * @param {string} roomId - The room ID.
+   * @param {string} channel - "players" or "spectators".
+   * @param {string} senderId - The sender's socket ID.
+   * @param {string} username - The sender's display name.
+   * @param {string} text - The raw message.
+   * @returns {Object} The stored message.
+   */
+  postMessage(roomId, channel, senderId, username, text) {
+    if (!this.CHANNELS.includes(channel)) throw new GameError(ErrorCodes.INVALID_PAYLOAD, "Invalid chat channel");
+    if (typeof text !== 'string') throw new GameError(ErrorCodes.INVALID_MESSAGE, "Message must be text");
+
+    const trimmed = text.trim();
+    if (!trimmed) throw new GameError(ErrorCodes.INVALID_MESSAGE, "Message is empty");
+    if (trimmed.length > this.MAX_LENGTH) {
+      throw new GameError(ErrorCodes.INVALID_MESSAGE, `Messages are limited to ${this.MAX_LENGTH} characters`);
+    }
+
+    const chat = this.getRoom(roomId);
+    if (chat.muted.has(senderId)) throw new GameError(ErrorCodes.MUTED, "You have been muted by the host");
+
+    this.checkRate(senderId);
+
+    const message = {
+      id: chat.nextId++,
+      channel,
+      senderId,
+      username,
+      text: this.wordFilter
+        ? trimmed.replace(this.wordFilter, word => '*'.repeat(word.length))
+        : trimmed,
+      sentAt: Date.now(),
+    };
+
+    const history = chat.history[channel];
+    history.push(message);
+    if (history.length > this.HISTORY_SIZE) history.shift();
+
+    return message;
+  }
+
+  /**
+   * Enforces the per-socket message rate.
+   * @param {string} senderId - The sender's socket ID.
+   */
+  checkRate(senderId) {
+    const now = Date.now();
+    const recent = (this.recentMessages.get(senderId) || [])
+      .filter(sentAt => now - sentAt < this.RATE_WINDOW);
+
+    if (recent.length >= this.RATE_LIMIT) {
+      this.recentMessages.set(senderId, recent);
+      throw new GameError(ErrorCodes.RATE_LIMITED, "You are sending messages too quickly");
+    }
+
+    recent.push(now);
+    this.recentMessages.set(senderId, recent);
+  }
+
+  /**
+   * Returns the recent messages of a channel.
+   * @param {string} roomId - The room ID.
+   * @param {string} channel - "players" or "spectators".
+   * @returns {Array} The capped history, oldest first.
+   */
+  getHistory(roomId, channel) {
+    return [...(this.rooms[roomId]?.history[channel] || [])];
+  }
+
+  /**
+   * Mutes or unmutes a member of a room.
+   * @param {string} roomId - The room ID.
+   * @param {string} memberId - The member's socket ID.
+   * @param {boolean} muted - Whether the member is muted.
+   */
+  setMuted(roomId, memberId, muted) {
+    const chat = this.getRoom(roomId);
+    if (muted) {
+      chat.muted.add(memberId);
+    } else {
+      chat.muted.delete(memberId);
+    }
+  }
+
+  /**
+   * Carries a member's mute over to a new socket after a rejoin.
+   * @param {string} roomId - The room ID.
+   * @param {string} oldId - The previous socket ID.
+   * @param {string} newId - The new socket ID.
+   */
+  renameMember(roomId, oldId, newId) {
+    const chat = this.rooms[roomId];
+    if (chat && chat.muted.delete(oldId)) {
+      chat.muted.add(newId);
+    }
+  }
+
+  /**
+   * Forgets a socket's rate limit history.
+   * @param {string} socketId - The socket ID.
+   */
+  forgetSocket(socketId) {
+    this.recentMessages.delete(socketId);
+  }
+
+  /**
+   * Drops a room's chat state.
+   * @param {string} roomId - The room ID.
+   */
+  deleteRoom(roomId) {
+    delete this.rooms[roomId];
+  }
+}
+
+module.exports = RoomChat;
@@ -0,0 +1,78 @@
+const crypto = require('crypto');
+
+const HASH_PREFIX = "scrypt";
+const SALT_BYTES = 16;
+const KEY_LENGTH = 32;
+
+/**
+ * Hashes a room password with a random salt.
+ * @param {string} password - The plaintext password.
+ * @returns {string} "scrypt$<salt>$<hash>", both hex.
+ */
+function hashPassword(password) {
+  const salt = crypto.randomBytes(SALT_BYTES);
+  const hash = crypto.scryptSync(password, salt, KEY_LENGTH);
+  return [HASH_PREFIX, salt.toString('hex'), hash.toString('hex')].join('$');
+}
+
+/**
+ * Whether a stored value is a hash from `hashPassword` rather than a
+ * plaintext password from an older snapshot.
+ * @param {string} stored - The stored value.
+ * @returns {boolean} True if hashed.
+ */
+function isPasswordHash(stored) {
+  return typeof stored === 'string' && /^scrypt\$[0-9a-f]+\$[0-9a-f]+$/.test(stored);
+}
+
+/**
+ * Checks a password against a stored hash in constant time.
+ * @param {string} password - The password to check.
+ * @param {string} stored - The hash from `hashPassword`.
+ * @returns {boolean} True if they match.
+ */
+function verifyPassword(password, stored) {
+  if (typeof password !== 'string' || !isPasswordHash(stored)) return false;
+
+  const [, saltHex, hashHex] = stored.split('$');
+  const expected = Buffer.from(hashHex, 'hex');
+  const actual = crypto.scryptSync(password, Buffer.from(saltHex, 'hex'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * Signs a JSON payload so it can be handed out and trusted when it comes back.
+ * @param {Object} payload - The data to sign.
+ * @param {string} secret - The signing key.
+ * @returns {string} "<payload>.<signature>", both base64url.
+ */
+function signToken(payload, secret) {
+  const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  const signature = crypto.createHmac('sha256', secret).update(body).digest('base64url');
+  return `${body}.${signature}`;
+}
+
+/**
+ * Reads a token from `signToken`, checking its signature in constant time.
+ * @param {string} token - The token.
+ * @param {string} secret - The signing key.
+ * @returns {Object|null} The payload, or null if the token was not signed with this key.
+ */
+function readToken(token, secret) {
+  if (typeof token !== 'string') return null;
+
+  const [body, signature, ...rest] = token.split('.');
+  if (!body || !signature || rest.length) return null;
+
+  const expected = crypto.createHmac('sha256', secret).update(body).digest();
+  const actual = Buffer.from(signature, 'base64url');
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) return null;
+
+  try {
+    return JSON.parse(Buffer.from(body, 'base64url').toString('utf-8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = { hashPassword, isPasswordHash, verifyPassword, signToken, readToken };
@@ -0,0 +1,136 @@
+/**
+ * Structured records of what a card play did. Game logic fills one in while
+ * it applies a card; clients receive it as-is and the server narrates it.
+ */
+
+/**
+ * Creates an empty effect record.
+ * @param {Object} card - The card played.
+ * @param {string} actor - The ID of the player who played it.
+ * @param {string} [target] - The targeted player's ID.
+ * @param {string} [direction] - The direction moved, for cards that ask for one.
+ * @returns {Object} The effect record.
+ */
+function createEffect(card, actor, target = null, direction = null) {
+  return {
+    card: { type: card.type, effect: card.effect, value: card.value },
+    actor,
+    target,
+    direction,
+    positionDeltas: {},
+    pointsMoved: [],
+    cardsStolen: [],
+    cardsDiscarded: [],
+    cardsDrawn: [],
+    blocked: [],
+    tilesTriggered: [],
+    boardShuffled: false,
+    counter: null, // the target's answer, as { playerId, effect }
+    roundWon: false,
+    winningTeam: null, // the team that finished, in team games
+  };
+}
+
+/**
+ * Records every player's board square so position changes can be diffed.
+ * @param {Object} room - The room.
+ * @returns {Object} Player ID to square number.
+ */
+function snapshotPositions(room) {
+  const positions = {};
+  Object.entries(room.players).forEach(([playerId, player]) => {
+    positions[playerId] = player.position;
+  });
+  return positions;
+}
+
+/**
+ * Records every player's index on the board, which changes when the board
+ * is shuffled even though their square number does not.
+ * @param {Object} room - The room.
+ * @returns {Object} Player ID to board index.
+ */
+function snapshotSlots(room) {
+  const slots = {};
+  Object.entries(room.players).forEach(([playerId, player]) => {
+    slots[playerId] = room.gameState.board.indexOf(player.position);
+  });
+  return slots;
+}
+
+/**
+ * Adds position changes since a snapshot to an effect record.
+ * @param {Object} effect - The effect record.
+ * @param {Object} room - The room.
+ * @param {Object} before - A snapshot from `snapshotPositions`.
+ */
+function recordPositionDeltas(effect, room, before) {
+  Object.entries(room.players).forEach(([playerId, player]) => {
+    if (before[playerId] !== undefined && before[playerId] !== player.position) {
+      effect.positionDeltas[playerId] = { from: before[playerId], to: player.position };
+    }
+  });
+}
+
+// How narration names each tile type
+const TILE_NAMES = {
+  trap: "a trap",
+  boost: "a boost",
+  draw: "a draw tile",
+  loseTurn: "a lose-a-turn tile",
+  checkpoint: "a checkpoint",
+};
+
+/**
+ * Narrates an effect record in one line.
+ * @param {Object} effect - The effect record.
+ * @param {Object} players - The room's players, for usernames.
+ * @returns {string} The narration.
+ */
+function describeEffect(effect, players) {
+  const name = id => players[id]?.username || id;
+  const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+  const parts = [];
+
+  Object.entries(effect.positionDeltas).forEach(([playerId, { from, to }]) => {
+    parts.push(`${name(playerId)} moved from ${from} to ${to}`);
+  });
+  effect.tilesTriggered.forEach(({ playerId, slot, type }) => {
+    parts.push(`${name(playerId)} landed on ${TILE_NAMES[type] || type} at slot ${slot + 1}`);
+  });
+  effect.pointsMoved.forEach(({ from, to, amount }) => {
+    parts.push(from
+      ? `${name(to)} took ${plural(amount, 'point')} from ${name(from)}`
+      : `${name(to)} gained ${plural(amount, 'point')}`);
+  });
+  effect.cardsStolen.forEach(({ from, to, count }) => {
+    parts.push(`${name(to)} stole ${plural(count, 'card')} from ${name(from)}`);
+  });
+  effect.cardsDiscarded.forEach(({ playerId, count }) => {
+    parts.push(`${name(playerId)} discarded ${plural(count, 'card')}`);
+  });
+  effect.blocked.forEach(playerId => {
+    parts.push(`${name(playerId)}'s next turn will be skipped`);
+  });
+  if (effect.boardShuffled) {
+    parts.push("the board was shuffled");
+  }
+  if (effect.roundWon) {
+    const winner = effect.winningTeam !== null ? `Team ${effect.winningTeam + 1}` : name(effect.actor);
+    parts.push(`${winner} won the round`);
+  }
+
+  const target = effect.target ? ` on ${name(effect.target)}` : '';
+  const direction = effect.direction ? ` ${effect.direction}` : '';
+  const counter = effect.counter ? `, answered with ${effect.counter.effect} by ${name(effect.counter.playerId)}` : '';
+  const summary = `${name(effect.actor)} played ${effect.card.effect}${direction}${target}${counter}`;
+  return parts.length ? `${summary}: ${parts.join('; ')}.` : `${summary}.`;
+}
+
+module.exports = {
+  createEffect,
+  snapshotPositions,
+  snapshotSlots,
+  recordPositionDeltas,
+  describeEffect,
+};
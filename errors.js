@@ -0,0 +1,81 @@
+/**
+ * Machine-readable error codes. Clients branch on the code; the message is
+ * for people and may change.
+ */
+const ErrorCodes = Object.freeze({
+  INVALID_PAYLOAD: "INVALID_PAYLOAD",
+  INVALID_SETTINGS: "INVALID_SETTINGS",
+  ROOM_NOT_FOUND: "ROOM_NOT_FOUND",
+  ROOM_EXISTS: "ROOM_EXISTS",
+  ROOM_FULL: "ROOM_FULL",
+  BAD_PASSWORD: "BAD_PASSWORD",
+  LOCKED_OUT: "LOCKED_OUT",
+  TOO_MANY_ROOMS: "TOO_MANY_ROOMS",
+  INVALID_INVITE: "INVALID_INVITE",
+  INVITE_EXPIRED: "INVITE_EXPIRED",
+  TOO_MANY_INVITES: "TOO_MANY_INVITES",
+  ALREADY_IN_ROOM: "ALREADY_IN_ROOM",
+  NOT_IN_ROOM: "NOT_IN_ROOM",
+  NOT_A_PLAYER: "NOT_A_PLAYER",
+  NOT_HOST: "NOT_HOST",
+  PLAYER_NOT_FOUND: "PLAYER_NOT_FOUND",
+  INVALID_TARGET: "INVALID_TARGET",
+  UNKNOWN_STRATEGY: "UNKNOWN_STRATEGY",
+  NOT_ENOUGH_PLAYERS: "NOT_ENOUGH_PLAYERS",
+  TEAMS_DISABLED: "TEAMS_DISABLED",
+  INVALID_TEAM: "INVALID_TEAM",
+  TEAMS_UNBALANCED: "TEAMS_UNBALANCED",
+  PLAYERS_NOT_READY: "PLAYERS_NOT_READY",
+  GAME_STARTED: "GAME_STARTED",
+  GAME_NOT_STARTED: "GAME_NOT_STARTED",
+  GAME_OVER: "GAME_OVER",
+  GAME_NOT_OVER: "GAME_NOT_OVER",
+  GAME_PAUSED: "GAME_PAUSED",
+  GAME_NOT_PAUSED: "GAME_NOT_PAUSED",
+  NOT_YOUR_TURN: "NOT_YOUR_TURN",
+  REACTION_PENDING: "REACTION_PENDING",
+  NO_REACTION_PENDING: "NO_REACTION_PENDING",
+  INVALID_CARD: "INVALID_CARD",
+  INVALID_SESSION: "INVALID_SESSION",
+  INVALID_PROFILE: "INVALID_PROFILE",
+  PROFILE_NOT_FOUND: "PROFILE_NOT_FOUND",
+  USERNAME_TAKEN: "USERNAME_TAKEN",
+  BAD_CREDENTIALS: "BAD_CREDENTIALS",
+  SEAT_UNAVAILABLE: "SEAT_UNAVAILABLE",
+  INVALID_MESSAGE: "INVALID_MESSAGE",
+  MUTED: "MUTED",
+  RATE_LIMITED: "RATE_LIMITED",
+  NO_ROOMS_AVAILABLE: "NO_ROOMS_AVAILABLE",
+  INTERNAL_ERROR: "INTERNAL_ERROR",
+});
+
+/**
+ * An error a client caused and can act on, tagged with one of `ErrorCodes`.
+ */
+class GameError extends Error {
+  /**
+   * @param {string} code - One of `ErrorCodes`.
+   * @param {string} message - A readable explanation.
+   */
+  constructor(code, message) {
+    super(message);
+    this.name = "GameError";
+    this.code = code;
+  }
+}
+
+/**
+ * Turns a thrown error into the `{ code, message }` sent to clients. Anything
+ * that is not a GameError is a server bug, so its details stay in the log.
+ * @param {Error} error - The thrown error.
+ * @returns {Object} The client-facing error.
+ */
+function toClientError(error) {
+  if (error instanceof GameError) {
+    return { code: error.code, message: error.message };
+  }
+  console.error("Unexpected error:", error);
+  return { code: ErrorCodes.INTERNAL_ERROR, message: "Something went wrong" };
+}
+
+module.exports = { ErrorCodes, GameError, toClientError };
@@ -1,8 +1,29 @@
+const crypto = require('crypto');
+const EventEmitter = require('events');
 const fs = require('fs');
 const path = require('path');
-
-class SurvivalPathGame {
-  constructor() {
+const { AI_STRATEGIES, chooseMove, chooseCounter } = require('./aiStrategies');
+const { createRng, randomSeed } = require('./rng');
+const { Scheduler } = require('./scheduler');
+const { GameError, ErrorCodes } = require('./errors');
+const { hashPassword, isPasswordHash, verifyPassword, signToken, readToken } = require('./credentials');
+const { validateCards, findTargetProblem, runActions, takesDirection } = require('./cardActions');
+const {
+  createEffect,
+  snapshotPositions,
+  snapshotSlots,
+  recordPositionDeltas,
+  describeEffect,
+} = require('./effects');
+
+class SurvivalPathGame extends EventEmitter {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.clock] - Clock for the scheduler; tests pass a manual one.
+   * @param {string} [options.inviteSecret] - Key invite links are signed with.
+   */
+  constructor({ clock, inviteSecret } = {}) {
+    super();
     this.name = "survival-path";
     this.rooms = {};
     this.cards = this.loadCards();
@@ -12,44 +33,414 @@ class SurvivalPathGame {
     this.WINNING_POINTS = 20;
     this.BOARD_SIZE = 45;
     this.BOARD_COLUMNS = 9;
+    this.DEFAULT_BOARD = "classic";
+    this.TILE_TYPES = ["trap", "boost", "draw", "loseTurn", "checkpoint"];
+    this.MAX_TILE_CHAIN = 5; // tiles one landing may set off, so boosts and traps cannot loop
+    this.DEFAULT_PACK = "base";
+    this.CUSTOM_PACK = "custom"; // the pack a room reports once the host uploads a deck list
+    this.DECK_LIMITS = { min: 20, max: 150, maxCopies: 15, minPlayable: 10 };
+    this.packs = this.loadPacks(); // checked against the cards and DECK_LIMITS
     this.MAX_PLAYERS = 6;
+    this.TURN_TIME = 30; // seconds per turn
+    this.STARTING_HAND_SIZE = 3;
+    // Server-side bounds for the settings a host may choose per room
+    this.SETTINGS_LIMITS = {
+      roundsPerGame: { min: 1, max: 10 },
+      roundTime: { min: 60, max: 1800 },
+      boardSize: { min: 18, max: 90 },
+      winningPoints: { min: 0, max: 100 },
+      maxPlayers: { min: this.MIN_PLAYERS, max: 8 },
+      turnTime: { min: 10, max: 120 },
+      startingHandSize: { min: 1, max: 7 },
+      teamCount: { min: 0, max: 4 }, // 0 is free-for-all
+    };
+    this.boards = this.loadBoards(); // checked against TILE_TYPES and the boardSize limits
+    this.MAX_ROOMS_PER_CLIENT = 3; // open rooms one connection or address may create
+    this.SEAT_GRACE_PERIOD = 60; // seconds a dropped player's seat is held
+    this.AI_TURN_DELAY = 1500; // ms a bot waits before playing
+    this.REACTION_TIME = 5; // seconds a targeted player has to play a counter
+    this.AI_REACTION_DELAY = 1000; // ms a bot waits before answering a card
+    this.EMPTY_ROOM_TTL = 600; // seconds a room may sit with nobody in it
+    this.MAX_PAUSE_TIME = 300; // seconds before a host or vote pause resumes by itself
+    this.ROOM_CODE_LENGTH = 6;
+    this.ROOM_CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+    this.DEFAULT_AI_STRATEGY = "random";
+    this.INVITE_TTL = 86400; // seconds an invite link stays valid by default
+    this.INVITE_TTL_LIMITS = { min: 60, max: 7 * 86400 };
+    this.MAX_INVITES_PER_ROOM = 20;
+    // Without a configured secret, links stop working when the server restarts
+    this.inviteSecret = inviteSecret || crypto.randomBytes(32).toString('hex');
     this.publicRooms = new Set();
-    this.roomPasswords = new Map();
+    this.roomPasswords = new Map(); // roomId -> salted hash
     this.aiPlayers = new Map();
+    this.sessions = new Map(); // sessionToken -> { roomId, playerId }
+    // Every turn, round, bot and cleanup timer of every room runs through here
+    this.scheduler = new Scheduler(clock);
   }
 
   /**
-   * Loads card data from a JSON file.
+   * Loads card data from a JSON file. A missing, unreadable or invalid file
+   * throws, since the game cannot be played without a deck.
    * @returns {Array} The card data.
    */
   loadCards() {
     const filePath = path.resolve(__dirname, 'cards.json');
     try {
-      return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+      return validateCards(JSON.parse(fs.readFileSync(filePath, 'utf-8')));
+    } catch (error) {
+      throw new Error(`Cannot load ${filePath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Loads board layouts from a JSON file. Like the cards, a bad file throws.
+   * @returns {Array} The board layouts.
+   */
+  loadBoards() {
+    const filePath = path.resolve(__dirname, 'boards.json');
+    try {
+      const boards = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+      if (!Array.isArray(boards) || !boards.some(board => board?.id === this.DEFAULT_BOARD)) {
+        throw new Error(`Boards must be an array including "${this.DEFAULT_BOARD}"`);
+      }
+      const ids = new Set();
+      boards.forEach(board => {
+        if (typeof board.id !== 'string' || !board.id || ids.has(board.id)) {
+          throw new Error(`Invalid or duplicate board id: ${board.id}`);
+        }
+        ids.add(board.id);
+        const problem = this.findBoardProblem(board);
+        if (problem) throw new Error(`Board ${board.id}: ${problem}`);
+      });
+      return boards;
+    } catch (error) {
+      throw new Error(`Cannot load ${filePath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Describes what is wrong with one board layout, if anything.
+   * @param {Object} board - The layout.
+   * @returns {string|null} The problem, or null if the layout is valid.
+   */
+  findBoardProblem(board) {
+    const { min, max } = this.SETTINGS_LIMITS.boardSize;
+    if (typeof board.name !== 'string' || !board.name) return "name must be a non-empty string";
+    if (!Number.isInteger(board.size) || board.size < min || board.size > max) {
+      return `size must be a whole number between ${min} and ${max}`;
+    }
+    if (!Number.isInteger(board.columns) || board.columns < 1) return "columns must be a whole number of 1 or more";
+    if (!Array.isArray(board.tiles)) return "tiles must be an array";
+
+    const slots = new Set();
+    for (const tile of board.tiles) {
+      if (!this.TILE_TYPES.includes(tile?.type)) return `tile type must be one of ${this.TILE_TYPES.join(", ")}`;
+      // The start and the finish stay plain
+      if (!Number.isInteger(tile.slot) || tile.slot < 2 || tile.slot >= board.size) {
+        return `tile slot must be a whole number between 2 and ${board.size - 1}`;
+      }
+      if (slots.has(tile.slot)) return `slot ${tile.slot} has more than one tile`;
+      slots.add(tile.slot);
+      if (tile.value !== undefined && !(Number.isInteger(tile.value) && tile.value >= 1)) {
+        return "tile value must be a whole number of 1 or more";
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Finds a board layout by ID.
+   * @param {string} boardId - The layout ID.
+   * @returns {Object|undefined} The layout.
+   */
+  getBoard(boardId) {
+    return this.boards.find(board => board.id === boardId);
+  }
+
+  /**
+   * Lists the board layouts a host can pick from.
+   * @returns {Array} The layouts, without their tiles.
+   */
+  listBoards() {
+    return this.boards.map(({ id, name, size, tiles = [] }) => ({
+      id,
+      name,
+      size,
+      tileCount: tiles.length,
+    }));
+  }
+
+  /**
+   * Places a layout's tiles on a board of the room's size. Tiles are given
+   * by slot, counted from 1 along the path; the start and the finish stay
+   * plain, as do slots past the end of a board the host made shorter.
+   * @param {Object} settings - The room settings.
+   * @returns {Object} Board index to { type, value }.
+   */
+  buildTiles(settings) {
+    const tiles = {};
+    const layout = this.getBoard(settings.board);
+    (layout?.tiles || []).forEach(({ slot, type, value = 1 }) => {
+      if (slot >= settings.boardSize) return;
+      tiles[slot - 1] = { type, value };
+    });
+    return tiles;
+  }
+
+  /**
+   * Loads the named card packs from a JSON file. A pack lists how many of
+   * each card its deck holds; one without a list uses the counts in
+   * `cards.json`. Like the cards, a bad file throws.
+   * @returns {Array} The card packs.
+   */
+  loadPacks() {
+    const filePath = path.resolve(__dirname, 'packs.json');
+    try {
+      const packs = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+      if (!Array.isArray(packs) || !packs.some(pack => pack.id === this.DEFAULT_PACK)) {
+        throw new Error(`Packs must be an array including "${this.DEFAULT_PACK}"`);
+      }
+      const ids = new Set();
+      packs.forEach(pack => {
+        if (typeof pack.id !== 'string' || !pack.id || pack.id === this.CUSTOM_PACK || ids.has(pack.id)) {
+          throw new Error(`Invalid or duplicate pack id: ${pack.id}`);
+        }
+        ids.add(pack.id);
+        if (pack.cards !== undefined) {
+          try {
+            this.validateDeckList(pack.cards);
+          } catch (error) {
+            throw new Error(`Pack ${pack.id}: ${error.message}`);
+          }
+        }
+      });
+      return packs;
     } catch (error) {
-      console.error("Error loading cards:", error);
-      return [];
+      throw new Error(`Cannot load ${filePath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Finds a card pack by ID.
+   * @param {string} packId - The pack ID.
+   * @returns {Object|undefined} The pack.
+   */
+  getPack(packId) {
+    return this.packs.find(pack => pack.id === packId);
+  }
+
+  /**
+   * Lists the card packs a host can pick from.
+   * @returns {Array} The packs with their deck lists.
+   */
+  listPacks() {
+    return this.packs.map(({ id, name, description = null }) => {
+      const cards = this.getDeckList({ pack: id });
+      return { id, name, description, size: this.countDeck(cards), cards };
+    });
+  }
+
+  /**
+   * Checks a deck list against the known card definitions.
+   * @param {Object} deck - Card effect name to number of copies.
+   */
+  validateDeckList(deck) {
+    if (typeof deck !== 'object' || deck === null || Array.isArray(deck)) {
+      throw new GameError(ErrorCodes.INVALID_SETTINGS, "A deck list must map card names to counts");
+    }
+
+    const { min, max, maxCopies, minPlayable } = this.DECK_LIMITS;
+    let playable = 0;
+    Object.entries(deck).forEach(([name, count]) => {
+      const card = this.cards.find(definition => definition.effect === name);
+      if (!card) throw new GameError(ErrorCodes.INVALID_SETTINGS, `Unknown card: ${name}`);
+      if (!Number.isInteger(count) || count < 0 || count > maxCopies) {
+        throw new GameError(ErrorCodes.INVALID_SETTINGS, `${name} count must be a whole number between 0 and ${maxCopies}`);
+      }
+      if (!card.reaction) playable += count;
+    });
+
+    const size = this.countDeck(deck);
+    if (size < min || size > max) {
+      throw new GameError(ErrorCodes.INVALID_SETTINGS, `A deck must hold between ${min} and ${max} cards, not ${size}`);
+    }
+    if (playable < minPlayable) {
+      throw new GameError(ErrorCodes.INVALID_SETTINGS, `A deck needs at least ${minPlayable} cards that can be played on a turn`);
+    }
+  }
+
+  /**
+   * Works out which cards a room's deck holds.
+   * @param {Object} settings - The room settings.
+   * @returns {Object} Card effect name to number of copies.
+   */
+  getDeckList(settings) {
+    if (settings.deck) return settings.deck;
+
+    const pack = this.getPack(settings.pack) || this.getPack(this.DEFAULT_PACK);
+    if (pack.cards) return pack.cards;
+
+    const deck = {};
+    this.cards.forEach(({ effect, count = 1 }) => {
+      deck[effect] = count;
+    });
+    return deck;
+  }
+
+  /**
+   * Counts the cards in a deck list.
+   * @param {Object} deck - Card effect name to number of copies.
+   * @returns {number} The deck size.
+   */
+  countDeck(deck) {
+    return Object.values(deck).reduce((total, count) => total + count, 0);
+  }
+
+  /**
+   * Describes a room's deck for the lobby and room metadata.
+   * @param {Object} settings - The room settings.
+   * @returns {Object} The deck as { pack, name, size, cards }.
+   */
+  describeDeck(settings) {
+    const cards = this.getDeckList(settings);
+    const pack = settings.deck ? this.CUSTOM_PACK : (settings.pack || this.DEFAULT_PACK);
+    return {
+      pack,
+      name: settings.deck ? "Custom" : this.getPack(pack)?.name || pack,
+      size: this.countDeck(cards),
+      cards,
+    };
+  }
+
+  /**
+   * Expands a deck list into a deck, in the order the cards are defined.
+   * @param {Array} cards - The card definitions.
+   * @param {Object} deckList - Card effect name to number of copies.
+   * @returns {Array} The unshuffled deck.
+   */
+  buildDeck(cards, deckList) {
+    const deck = [];
+    // The deck list decides the copies; a definition's `count` only feeds the base pack
+    cards.forEach(({ count, ...card }) => {
+      const copies = deckList[card.effect] || 0;
+      for (let i = 0; i < copies; i++) {
+        deck.push({ ...card });
+      }
+    });
+    return deck;
+  }
+
+  /**
+   * Returns the settings a room gets when the host does not override them.
+   * @returns {Object} The default room settings.
+   */
+  getDefaultSettings() {
+    return {
+      roundsPerGame: this.ROUNDS_PER_GAME,
+      roundTime: this.ROUND_TIME,
+      boardSize: this.BOARD_SIZE,
+      winningPoints: this.WINNING_POINTS,
+      maxPlayers: this.MAX_PLAYERS,
+      turnTime: this.TURN_TIME,
+      startingHandSize: this.STARTING_HAND_SIZE,
+      board: this.DEFAULT_BOARD,
+      pack: this.DEFAULT_PACK,
+      deck: null, // a custom deck list, which takes the place of the pack
+      teamCount: 0,
+      allowTeamTargeting: false,
+    };
+  }
+
+  /**
+   * Validates a partial settings object against `SETTINGS_LIMITS`, the
+   * known board layouts and the card packs, and merges it over a base.
+   * @param {Object} [changes] - The requested settings.
+   * @param {Object} [base] - The settings to merge over.
+   * @returns {Object} The complete, validated settings.
+   */
+  validateSettings(changes = {}, base = this.getDefaultSettings()) {
+    if (typeof changes !== 'object' || changes === null || Array.isArray(changes)) {
+      throw new GameError(ErrorCodes.INVALID_SETTINGS, "Settings must be an object");
+    }
+
+    Object.entries(changes).forEach(([key, value]) => {
+      if (key === "board") {
+        if (typeof value !== 'string' || !this.getBoard(value)) {
+          throw new GameError(ErrorCodes.INVALID_SETTINGS, `Unknown board: ${value}`);
+        }
+        return;
+      }
+      if (key === "pack") {
+        // "custom" only names a deck list sent with it or already in place,
+        // as in the settings a replay logs
+        if (value === this.CUSTOM_PACK && (changes.deck || base.deck)) return;
+        if (typeof value !== 'string' || !this.getPack(value)) {
+          throw new GameError(ErrorCodes.INVALID_SETTINGS, `Unknown card pack: ${value}`);
+        }
+        return;
+      }
+      if (key === "deck") {
+        if (value !== null) this.validateDeckList(value);
+        return;
+      }
+      if (key === "allowTeamTargeting") {
+        if (typeof value !== 'boolean') {
+          throw new GameError(ErrorCodes.INVALID_SETTINGS, "allowTeamTargeting must be true or false");
+        }
+        return;
+      }
+      const limits = this.SETTINGS_LIMITS[key];
+      if (!limits) {
+        throw new GameError(ErrorCodes.INVALID_SETTINGS, `Unknown setting: ${key}`);
+      }
+      if (!Number.isInteger(value) || value < limits.min || value > limits.max) {
+        throw new GameError(ErrorCodes.INVALID_SETTINGS, `${key} must be a whole number between ${limits.min} and ${limits.max}`);
+      }
+      if (key === "teamCount" && value === 1) {
+        throw new GameError(ErrorCodes.INVALID_SETTINGS, "teamCount must be 0 for free-for-all or at least 2");
+      }
+    });
+
+    const settings = { ...base, ...changes };
+    // A layout brings its own length unless the host sets one as well
+    if (changes.board !== undefined && changes.boardSize === undefined) {
+      settings.boardSize = this.getBoard(changes.board).size;
     }
+    // An uploaded deck list replaces the pack; choosing a pack drops it
+    if (changes.deck) {
+      settings.pack = this.CUSTOM_PACK;
+    } else if ((changes.pack !== undefined && changes.pack !== this.CUSTOM_PACK) || changes.deck === null) {
+      settings.deck = null;
+      if (settings.pack === this.CUSTOM_PACK) settings.pack = this.DEFAULT_PACK;
+    }
+    return settings;
   }
 
   /**
    * Sets up the initial game state.
+   * @param {Object} [settings] - The room settings.
+   * @param {Function} [rng] - The random source used to shuffle the deck.
    * @returns {Object} The initial game state.
    */
-  setup() {
-    const board = Array.from({ length: this.BOARD_SIZE }, (_, i) => i + 1);
+  setup(settings = this.getDefaultSettings(), rng = Math.random) {
+    const board = Array.from({ length: settings.boardSize }, (_, i) => i + 1);
     return {
       players: {},
       board,
-      cardDeck: this.shuffleDeck([...this.cards]),
+      tiles: this.buildTiles(settings), // by board index, so they stay put when the board is shuffled
+      boardColumns: this.getBoard(settings.board)?.columns || this.BOARD_COLUMNS,
+      cardDeck: this.shuffleDeck(this.buildDeck(this.cards, this.getDeckList(settings)), rng),
+      discardPile: [],
       turn: 0,
       turnOrder: [],
       currentTurn: null,
       winner: null,
-      timer: 30,
+      turnDeadline: null, // when the current turn times out, in ms since the epoch
+      pendingReaction: null, // a targeted card waiting for its target to answer
       currentRound: 1,
-      roundTimer: this.ROUND_TIME,
+      roundDeadline: null, // when the current round times out
       roundWinners: [],
+      teamRoundWins: {}, // team -> rounds won, in team games
       gameStarted: false,
     };
   }
@@ -57,21 +448,40 @@ class SurvivalPathGame {
   /**
    * Creates a new game room.
    * @param {string} roomId - The room ID.
+   * @param {boolean} [isPublic] - Whether the room is listed in the lobby.
+   * @param {string} [password] - The room password.
+   * @param {Object} [settings] - Overrides for the default room settings.
+   * @param {number} [seed] - Seed for the room's random number generator.
    */
-  createRoom(roomId, isPublic = false, password = null) {
+  createRoom(roomId, isPublic = false, password = null, settings = {}, seed = randomSeed()) {
     if (this.rooms[roomId]) {
-      throw new Error(`Room with ID ${roomId} already exists.`);
+      throw new GameError(ErrorCodes.ROOM_EXISTS, `Room with ID ${roomId} already exists.`);
     }
+
+    const roomSettings = this.validateSettings(settings);
+    const rng = createRng(seed);
     
     this.rooms[roomId] = {
-      gameState: this.setup(),
+      settings: roomSettings,
+      seed,
+      rng,
+      // Bots get their own stream so replays need not re-run their choices
+      botRng: createRng(seed ^ 0x9E3779B9),
+      actionLog: [],
+      isReplay: false,
+      gameState: this.setup(roomSettings, rng),
       players: {},
-      timerInterval: null,
-      roundInterval: null,
       isPublic,
       hasStarted: false,
       hostId: null,
       disconnectedPlayers: new Set(),
+      seatHolds: new Map(), // playerId -> scheduler key of the hold
+      pause: null, // { reason, by, pausedAt, resumesAt, turnRemaining, roundRemaining }
+      pauseVotes: new Set(),
+      invites: new Map(), // inviteId -> { createdBy, expiresAt }
+      series: { gamesPlayed: 0, wins: {} }, // wins: playerId -> { username, wins }
+      rematchVotes: new Set(),
+      spectators: new Map(), // socketId -> { username }
     };
 
     if (isPublic) {
@@ -79,511 +489,2368 @@ class SurvivalPathGame {
     }
     
     if (password) {
-      this.roomPasswords.set(roomId, password);
+      this.roomPasswords.set(roomId, hashPassword(password));
     }
+
+    this.recordAction(roomId, "createRoom", { isPublic, settings: roomSettings, seed });
     
     console.log(`Room ${roomId} created. Public: ${isPublic}`);
   }
 
+  /**
+   * Generates a room code that is not in use, avoiding look-alike characters.
+   * @returns {string} The room code.
+   */
+  generateRoomCode() {
+    let code;
+    do {
+      code = Array.from(crypto.randomBytes(this.ROOM_CODE_LENGTH), byte =>
+        this.ROOM_CODE_ALPHABET[byte % this.ROOM_CODE_ALPHABET.length]
+      ).join('');
+    } while (this.rooms[code]);
+    return code;
+  }
+
+  /**
+   * Deletes a room if no human has joined it within `EMPTY_ROOM_TTL`.
+   * @param {string} roomId - The room ID.
+   */
+  scheduleEmptyRoomCleanup(roomId) {
+    const room = this.rooms[roomId];
+    if (!room) return;
+
+    this.scheduler.scheduleIn(this.jobKey(roomId, "empty"), this.EMPTY_ROOM_TTL * 1000, () => {
+      if (this.rooms[roomId] === room && Object.values(room.players).every(player => player.isBot)) {
+        this.deleteRoom(roomId);
+        console.log(`Room ${roomId} removed after sitting empty`);
+        this.emit("lobbyChanged");
+      }
+    });
+  }
+
+  /**
+   * Names a room's scheduler job. The room ID is encoded so that its ":"
+   * cannot run into the separator: room "A" must never own the jobs of
+   * room "A:B" when its jobs are cancelled by prefix.
+   * @param {string} roomId - The room ID.
+   * @param {string} job - The job: "turn", "round", "ai", "reaction", "pause", "empty" or "seat:<id>".
+   * @returns {string} The scheduler key.
+   */
+  jobKey(roomId, job) {
+    return `${encodeURIComponent(roomId)}:${job}`;
+  }
+
+  /**
+   * Publishes a typed lifecycle event (roundStarted, turnSkipped, ...) for a
+   * room. The socket layer relays these to the room's clients.
+   * @param {string} roomId - The room ID.
+   * @param {string} type - The event name.
+   * @param {Object} [payload] - The event data.
+   */
+  emitRoomEvent(roomId, type, payload = {}) {
+    this.emit("roomEvent", { roomId, type, payload });
+  }
+
+  /**
+   * Publishes an event meant for one player only, such as a prompt that
+   * depends on their hand. The socket layer relays it to that player.
+   * @param {string} roomId - The room ID.
+   * @param {string} playerId - The receiving player.
+   * @param {string} type - The event name.
+   * @param {Object} [payload] - The event data.
+   */
+  emitPlayerEvent(roomId, playerId, type, payload = {}) {
+    this.emit("playerEvent", { roomId, playerId, type, payload });
+  }
+
+  /**
+   * Appends an accepted action to the room's ordered action log. Together
+   * with the seed, the log is enough to rebuild the game state.
+   * @param {string} roomId - The room ID.
+   * @param {string} type - The action type.
+   * @param {Object} [payload] - The action's arguments.
+   */
+  recordAction(roomId, type, payload = {}) {
+    const room = this.rooms[roomId];
+    if (!room) return;
+
+    const action = { seq: room.actionLog.length, type, ...payload };
+    room.actionLog.push(action);
+    this.emit("actionRecorded", { roomId, action });
+  }
+
   /**
    * Adds a player to a room.
    * @param {string} roomId - The room ID.
    * @param {string} playerId - The player ID.
    * @param {string} username - The player's username.
+   * @param {string} [password] - The room password, for private rooms.
+   * @param {string} [invite] - An invite token, instead of the password.
    */
-  addPlayerToRoom(roomId, playerId, username, password = null) {
+  addPlayerToRoom(roomId, playerId, username, password = null, invite = null) {
     const room = this.rooms[roomId];
     
     if (!room) {
-      throw new Error(`Room with ID ${roomId} does not exist.`);
+      throw new GameError(ErrorCodes.ROOM_NOT_FOUND, `Room with ID ${roomId} does not exist.`);
+    }
+
+    if (room.players[playerId]) {
+      throw new GameError(ErrorCodes.ALREADY_IN_ROOM, "You are already in this room");
     }
 
     if (room.hasStarted) {
-      throw new Error("Game has already started");
+      throw new GameError(ErrorCodes.GAME_STARTED, "Game has already started");
+    }
+
+    if (Object.keys(room.players).length >= room.settings.maxPlayers) {
+      throw new GameError(ErrorCodes.ROOM_FULL, "Room is full");
     }
 
-    if (Object.keys(room.players).length >= this.MAX_PLAYERS) {
-      throw new Error("Room is full");
+    this.checkRoomAccess(roomId, password, invite);
+
+    // A spectator taking a free seat stops watching
+    this.stopWatching(roomId, playerId);
+
+    this.seatPlayer(roomId, playerId, username);
+    this.recordAction(roomId, "join", { playerId, username });
+  }
+
+  /**
+   * Lets someone into a private room with either its password or a valid
+   * invite. Rooms without a password let everyone in.
+   * @param {string} roomId - The room ID.
+   * @param {string} [password] - The room password.
+   * @param {string} [invite] - An invite token.
+   */
+  checkRoomAccess(roomId, password, invite) {
+    if (!this.roomPasswords.has(roomId)) return;
+
+    if (invite) {
+      this.verifyInvite(invite, roomId);
+    } else if (!verifyPassword(password, this.roomPasswords.get(roomId))) {
+      throw new GameError(ErrorCodes.BAD_PASSWORD, "Invalid room password");
+    }
+  }
+
+  /**
+   * Adds a spectator to a room. Spectators can watch a running or full room
+   * but never act, and see every hand hidden.
+   * @param {string} roomId - The room ID.
+   * @param {string} spectatorId - The spectator's socket ID.
+   * @param {string} [username] - The spectator's display name.
+   * @param {string} [password] - The room password, for private rooms.
+   * @param {string} [invite] - An invite token, instead of the password.
+   */
+  addSpectator(roomId, spectatorId, username, password = null, invite = null) {
+    const room = this.rooms[roomId];
+    if (!room) {
+      throw new GameError(ErrorCodes.ROOM_NOT_FOUND, `Room with ID ${roomId} does not exist.`);
     }
 
-    if (this.roomPasswords.has(roomId) && password !== this.roomPasswords.get(roomId)) {
-      throw new Error("Invalid room password");
+    if (room.players[spectatorId]) {
+      throw new GameError(ErrorCodes.ALREADY_IN_ROOM, "Players cannot spectate their own game");
+    }
+
+    this.checkRoomAccess(roomId, password, invite);
+
+    room.spectators.set(spectatorId, {
+      username: username || `Spectator ${room.spectators.size + 1}`,
+    });
+  }
+
+  /**
+   * Removes a spectator from a room.
+   * @param {string} roomId - The room ID.
+   * @param {string} spectatorId - The spectator's socket ID.
+   * @returns {boolean} Whether the socket was spectating.
+   */
+  removeSpectator(roomId, spectatorId) {
+    const room = this.rooms[roomId];
+    return Boolean(room && room.spectators.delete(spectatorId));
+  }
+
+  /**
+   * Whether a socket is watching a room rather than playing in it.
+   * @param {string} roomId - The room ID.
+   * @param {string} socketId - The socket ID.
+   * @returns {boolean} True for spectators.
+   */
+  isSpectator(roomId, socketId) {
+    return Boolean(this.rooms[roomId]?.spectators.has(socketId));
+  }
+
+  /**
+   * Drops a socket that is taking a seat from the room's spectators, so it
+   * is treated as the player it now is.
+   * @param {string} roomId - The room ID.
+   * @param {string} socketId - The socket ID.
+   */
+  stopWatching(roomId, socketId) {
+    if (this.removeSpectator(roomId, socketId)) {
+      this.emitRoomEvent(roomId, "spectatorsUpdate", this.getSpectators(roomId));
     }
+  }
+
+  /**
+   * Lists a room's spectators.
+   * @param {string} roomId - The room ID.
+   * @returns {Array} Spectators as { spectatorId, username }.
+   */
+  getSpectators(roomId) {
+    const room = this.rooms[roomId];
+    if (!room) return [];
+    return Array.from(room.spectators, ([spectatorId, { username }]) => ({ spectatorId, username }));
+  }
+
+  /**
+   * Seats a player in a room once all join checks have passed.
+   * @param {string} roomId - The room ID.
+   * @param {string} playerId - The player ID.
+   * @param {string} username - The player's username.
+   * @param {boolean} [isBot] - Whether the seat is played by a bot.
+   * @returns {Object} The new player.
+   */
+  seatPlayer(roomId, playerId, username, isBot = false) {
+    const room = this.rooms[roomId];
 
-    // Set first player as host
-    if (Object.keys(room.players).length === 0) {
+    // The first player is the host, as is the first human to sit down in
+    // a room that lost its host with nobody connected to take over
+    const vacantHost = !isBot && !room.hostId && Object.keys(room.players).length > 0;
+    if (!isBot && !room.hostId) {
       room.hostId = playerId;
     }
 
     const newPlayer = {
       username: username || `Player ${Object.keys(room.players).length + 1}`,
       position: room.gameState.board[0],
+      checkpoint: null,
       moves: 0,
       score: 0,
-      hand: this.drawCards(roomId, 3),
+      hand: this.drawCards(roomId, room.settings.startingHandSize),
       roundWins: 0,
       isHost: room.hostId === playerId,
+      isBot,
+      // Bots and the host never hold up the ready check
+      isReady: isBot || room.hostId === playerId,
+      connected: true,
+      team: this.teamsEnabled(room) ? this.smallestTeam(room) : null,
+      cardsPlayed: 0,
+      profileId: null, // set once a signed-in player links their profile
     };
 
     room.players[playerId] = newPlayer;
     room.gameState.turnOrder.push(playerId);
+    if (vacantHost) this.emitRoomEvent(roomId, "hostChanged", { hostId: playerId, reason: "promoted" });
 
     if (room.gameState.turnOrder.length === 1) {
       room.gameState.currentTurn = playerId;
     }
+
+    return newPlayer;
   }
 
   /**
-   * Handles playing a card.
+   * Adds a bot to a room that has not started yet.
    * @param {string} roomId - The room ID.
-   * @param {string} playerId - The player ID.
-   * @param {number} cardIndex - The index of the card to play.
-   * @param {string} [targetPlayerId] - The targeted player's ID (if applicable).
-   * @param {string} [direction] - The direction of movement (forward or backward).
-   * @returns {Object} Result of the card play.
+   * @param {string} [strategy] - The bot's strategy name.
+   * @param {string} [botId] - A fixed ID for the bot, used by replays.
+   * @returns {string} The bot's player ID.
    */
-  playCard(roomId, playerId, cardIndex, targetPlayerId = null, direction = 'forward') {
+  addBot(roomId, strategy = this.DEFAULT_AI_STRATEGY, botId = `bot-${crypto.randomBytes(6).toString('hex')}`) {
     const room = this.rooms[roomId];
-    if (!room) throw new Error(`Room with ID ${roomId} does not exist.`);
-    if (!room.gameState.gameStarted) throw new Error(`Game has not started yet.`);
-
-    const player = room.players[playerId];
-    if (!player) throw new Error(`Player with ID ${playerId} not found in room ${roomId}.`);
-    if (player.hand.length <= cardIndex || cardIndex < 0) throw new Error(`Invalid card index.`);
-
-    if (room.gameState.currentTurn !== playerId) throw new Error(`It's not your turn.`);
-    if (room.gameState.winner) throw new Error(`Game has already ended.`);
-
-    const card = player.hand[cardIndex];
-    if (!card) throw new Error(`Invalid card index.`);
-
-    // Validate target player for Mind Play and Swap Places
-    if ((card.type === "Mind Play" || (card.type === "Event" && card.effect === "Swap Places")) 
-        && (!targetPlayerId || !room.players[targetPlayerId])) {
-      throw new Error("Must select a valid target player");
-    }
-
-    // Handle movement
-    if (card.type === "Move") {
-      const movement = direction === 'forward' ? card.value : -card.value;
-      const currentPosition = player.position;
-      const currentIndex = room.gameState.board.indexOf(currentPosition);
-      
-      // Calculate new index
-      let newIndex;
-      if (direction === 'forward') {
-        newIndex = Math.min(this.BOARD_SIZE - 1, currentIndex + movement);
-      } else {
-        newIndex = Math.max(0, currentIndex - card.value);
-      }
-
-      // Set position to the square number at the new index
-      player.position = room.gameState.board[newIndex];
-      player.moves += Math.abs(movement);
-      player.score += Math.abs(movement);
-
-      // Check for win
-      if (player.position === this.BOARD_SIZE) {
-        this.endRound(roomId);
-        return { message: `${player.username} has won round ${room.gameState.currentRound}!` };
-      }
-    } 
-    // Handle other card types
-    else if (card.type === "Event") {
-      this.handleEventCard(roomId, playerId, card, targetPlayerId);
-    } else if (card.type === "Mind Play") {
-      this.handleMindPlayCard(roomId, playerId, targetPlayerId, card);
-    }
-
-    // Remove played card and draw new one
-    player.hand.splice(cardIndex, 1);
-    const newCards = this.drawCards(roomId, 1);
-    player.hand.push(...newCards);
+    if (!room) throw new GameError(ErrorCodes.ROOM_NOT_FOUND, `Room with ID ${roomId} does not exist.`);
+    if (room.hasStarted) throw new GameError(ErrorCodes.GAME_STARTED, "Game has already started");
+    if (Object.keys(room.players).length === 0) throw new GameError(ErrorCodes.NOT_ENOUGH_PLAYERS, "A human player must join first");
+    if (Object.keys(room.players).length >= room.settings.maxPlayers) throw new GameError(ErrorCodes.ROOM_FULL, "Room is full");
+    if (!AI_STRATEGIES.includes(strategy)) throw new GameError(ErrorCodes.UNKNOWN_STRATEGY, `Unknown bot strategy: ${strategy}`);
+
+    const botCount = Object.values(room.players).filter(player => player.isBot).length;
+    const bot = this.seatPlayer(roomId, botId, `Bot ${botCount + 1}`, true);
+    this.aiPlayers.set(botId, { strategy, originalPlayer: bot });
+    this.recordAction(roomId, "addBot", { botId, strategy });
+
+    console.log(`${bot.username} (${strategy}) added to room ${roomId}.`);
+    return botId;
+  }
 
-    this.endTurn(roomId);
+  /**
+   * Removes a bot from a room that has not started yet.
+   * @param {string} roomId - The room ID.
+   * @param {string} botId - The bot's player ID.
+   */
+  removeBot(roomId, botId) {
+    const room = this.rooms[roomId];
+    if (!room) throw new GameError(ErrorCodes.ROOM_NOT_FOUND, `Room with ID ${roomId} does not exist.`);
+    if (room.hasStarted) throw new GameError(ErrorCodes.GAME_STARTED, "Game has already started");
+    if (!room.players[botId]?.isBot) throw new GameError(ErrorCodes.PLAYER_NOT_FOUND, "Bot not found");
 
-    return {
-      message: `${player.username} played a card.`,
-      hand: player.hand,
-    };
+    this.removeFromLobby(roomId, botId);
+    this.recordAction(roomId, "removeBot", { botId });
   }
 
   /**
-   * Handles an event card effect.
+   * Takes a seat out of a room that has not started, returning its cards and
+   * passing on the host role if needed.
    * @param {string} roomId - The room ID.
    * @param {string} playerId - The player ID.
-   * @param {Object} card - The event card.
    */
-  handleEventCard(roomId, playerId, card, targetPlayerId) {
+  removeFromLobby(roomId, playerId) {
     const room = this.rooms[roomId];
     const player = room.players[playerId];
+    if (!player) return;
+
+    room.gameState.discardPile.push(...player.hand);
+    delete room.players[playerId];
+    this.aiPlayers.delete(playerId);
+    this.sessions.forEach((session, token) => {
+      if (session.roomId === roomId && session.playerId === playerId) {
+        this.sessions.delete(token);
+      }
+    });
 
-    if (!room || !player) throw new Error("Invalid room or player");
-    if (!card || !card.effect) throw new Error("Invalid card data");
+    room.gameState.turnOrder = room.gameState.turnOrder.filter(id => id !== playerId);
+    if (room.gameState.currentTurn === playerId) {
+      room.gameState.currentTurn = room.gameState.turnOrder[0] || null;
+    }
 
-    switch (card.effect) {
-      case "Swap Places":
-        if (!targetPlayerId || !room.players[targetPlayerId]) {
-          throw new Error("Must select a valid target player for Swap Places");
-        }
-        if (targetPlayerId === playerId) {
-          throw new Error("Cannot swap places with yourself");
-        }
-        const targetPlayer = room.players[targetPlayerId];
-        const tempPosition = player.position;
-        player.position = targetPlayer.position;
-        targetPlayer.position = tempPosition;
-        break;
-      case "Shuffle Board":
-        this.shuffleBoard(roomId);
-        break;
-      case "Free Move":
-        player.position += card.value;
-        player.score += card.value;
-        break;
-      case "Draw 1 for Everyone":
-        this.drawForEveryone(roomId);
-        break;
-      case "Bonus Round":
-        player.score += 10;
-        break;
-      default:
-        console.log(`Unknown event card effect: ${card.effect}`);
+    if (room.hostId === playerId) {
+      this.promoteHost(roomId);
     }
   }
 
   /**
-   * Swaps positions with a random other player.
+   * Hands the host role to a player.
+   * @param {string} roomId - The room ID.
+   * @param {string} playerId - The new host's ID, or null for no host.
+   */
+  setHost(roomId, playerId) {
+    const room = this.rooms[roomId];
+    room.hostId = playerId;
+    Object.entries(room.players).forEach(([id, player]) => {
+      player.isHost = id === playerId;
+    });
+    if (playerId) {
+      room.players[playerId].isReady = true;
+    }
+  }
+
+  /**
+   * Makes the next connected human in turn order the host.
+   * @param {string} roomId - The room ID.
+   * @returns {string|null} The new host's ID.
+   */
+  promoteHost(roomId) {
+    const room = this.rooms[roomId];
+    const nextHost = room.gameState.turnOrder.find(id => {
+      const player = room.players[id];
+      return id !== room.hostId && player && !player.isBot && player.connected;
+    }) || null;
+
+    this.setHost(roomId, nextHost);
+    this.emitRoomEvent(roomId, "hostChanged", { hostId: nextHost, reason: "promoted" });
+    return nextHost;
+  }
+
+  /**
+   * Lets the host hand their role to another human player.
+   * @param {string} roomId - The room ID.
+   * @param {string} newHostId - The new host's ID.
+   */
+  transferHost(roomId, newHostId) {
+    const room = this.rooms[roomId];
+    if (!room) throw new GameError(ErrorCodes.ROOM_NOT_FOUND, `Room with ID ${roomId} does not exist.`);
+
+    const player = room.players[newHostId];
+    if (!player) throw new GameError(ErrorCodes.PLAYER_NOT_FOUND, `Player with ID ${newHostId} not found in room ${roomId}.`);
+    if (player.isBot) throw new GameError(ErrorCodes.INVALID_TARGET, "A bot cannot be the host");
+    if (!player.connected) throw new GameError(ErrorCodes.INVALID_TARGET, "That player is disconnected");
+    if (newHostId === room.hostId) throw new GameError(ErrorCodes.INVALID_TARGET, "That player is already the host");
+
+    this.setHost(roomId, newHostId);
+    this.recordAction(roomId, "transferHost", { playerId: newHostId });
+    this.emitRoomEvent(roomId, "hostChanged", { hostId: newHostId, reason: "transferred" });
+  }
+
+  /**
+   * Removes a player from a room that has not started.
+   * @param {string} roomId - The room ID.
+   * @param {string} playerId - The player to remove.
+   */
+  kickPlayer(roomId, playerId) {
+    const room = this.rooms[roomId];
+    if (!room) throw new GameError(ErrorCodes.ROOM_NOT_FOUND, `Room with ID ${roomId} does not exist.`);
+    if (room.hasStarted) throw new GameError(ErrorCodes.GAME_STARTED, "Players can only be kicked before the game starts");
+    if (!room.players[playerId]) throw new GameError(ErrorCodes.PLAYER_NOT_FOUND, `Player with ID ${playerId} not found in room ${roomId}.`);
+    if (playerId === room.hostId) throw new GameError(ErrorCodes.INVALID_TARGET, "The host cannot kick themselves");
+
+    this.removeFromLobby(roomId, playerId);
+    this.recordAction(roomId, "kickPlayer", { playerId });
+  }
+
+  /**
+   * Marks a player as ready or not ready to start.
+   * @param {string} roomId - The room ID.
+   * @param {string} playerId - The player ID.
+   * @param {boolean} ready - The new ready state.
+   */
+  setReady(roomId, playerId, ready) {
+    const room = this.rooms[roomId];
+    if (!room) throw new GameError(ErrorCodes.ROOM_NOT_FOUND, `Room with ID ${roomId} does not exist.`);
+    if (room.hasStarted) throw new GameError(ErrorCodes.GAME_STARTED, "Game has already started");
+    if (!room.players[playerId]) throw new GameError(ErrorCodes.PLAYER_NOT_FOUND, `Player with ID ${playerId} not found in room ${roomId}.`);
+
+    room.players[playerId].isReady = Boolean(ready);
+    this.recordAction(roomId, "setReady", { playerId, ready: Boolean(ready) });
+  }
+
+  /**
+   * Sets the seat order before the game starts. The first seat takes the
+   * first turn.
+   * @param {string} roomId - The room ID.
+   * @param {Array<string>} order - Every seated player ID, in the new order.
+   */
+  setTurnOrder(roomId, order) {
+    const room = this.rooms[roomId];
+    if (!room) throw new GameError(ErrorCodes.ROOM_NOT_FOUND, `Room with ID ${roomId} does not exist.`);
+    if (room.hasStarted) throw new GameError(ErrorCodes.GAME_STARTED, "Seats can only be reordered before the game starts");
+
+    const { turnOrder } = room.gameState;
+    const isPermutation = Array.isArray(order) &&
+      order.length === turnOrder.length &&
+      new Set(order).size === order.length &&
+      order.every(id => turnOrder.includes(id));
+    if (!isPermutation) throw new GameError(ErrorCodes.INVALID_PAYLOAD, "Seat order must list every player exactly once");
+
+    room.gameState.turnOrder = [...order];
+    room.gameState.currentTurn = order[0] || null;
+    this.recordAction(roomId, "setTurnOrder", { order: [...order] });
+  }
+
+  /**
+   * Randomizes the seat order before the game starts.
+   * @param {string} roomId - The room ID.
+   */
+  shuffleSeats(roomId) {
+    const room = this.rooms[roomId];
+    if (!room) throw new GameError(ErrorCodes.ROOM_NOT_FOUND, `Room with ID ${roomId} does not exist.`);
+    if (room.hasStarted) throw new GameError(ErrorCodes.GAME_STARTED, "Seats can only be reordered before the game starts");
+
+    room.gameState.turnOrder = this.shuffleDeck([...room.gameState.turnOrder], room.rng);
+    room.gameState.currentTurn = room.gameState.turnOrder[0] || null;
+    this.recordAction(roomId, "shuffleSeats");
+  }
+
+  /**
+   * Whether a room plays in teams.
+   * @param {Object} room - The room.
+   * @returns {boolean} True if `teamCount` is set.
+   */
+  teamsEnabled(room) {
+    return (room.settings.teamCount || 0) >= 2;
+  }
+
+  /**
+   * Whether two players are on the same team.
+   * @param {Object} room - The room.
+   * @param {string} playerId - One player.
+   * @param {string} otherId - The other player.
+   * @returns {boolean} True in a team game when they share a team.
+   */
+  areTeammates(room, playerId, otherId) {
+    if (!this.teamsEnabled(room)) return false;
+    const team = room.players[playerId]?.team;
+    return team != null && team === room.players[otherId]?.team;
+  }
+
+  /**
+   * Names a team for players.
+   * @param {number} team - The team index.
+   * @returns {string} The team's name.
+   */
+  teamName(team) {
+    return `Team ${team + 1}`;
+  }
+
+  /**
+   * Lists a room's teams with their members in seat order.
+   * @param {Object} room - The room.
+   * @returns {Array} Teams as { team, name, members }.
+   */
+  getTeams(room) {
+    return Array.from({ length: room.settings.teamCount }, (_, team) => ({
+      team,
+      name: this.teamName(team),
+      members: room.gameState.turnOrder.filter(playerId => room.players[playerId]?.team === team),
+    }));
+  }
+
+  /**
+   * Finds the team a newcomer should join.
+   * @param {Object} room - The room.
+   * @returns {number} The team with the fewest players, lowest first on ties.
+   */
+  smallestTeam(room) {
+    const teams = this.getTeams(room);
+    return teams.reduce((best, team) => (team.members.length < best.members.length ? team : best)).team;
+  }
+
+  /**
+   * Deals every seated player onto a team in seat order, or takes them off
+   * teams when the room is free-for-all.
+   * @param {string} roomId - The room ID.
+   */
+  assignTeams(roomId) {
+    const room = this.rooms[roomId];
+    const { teamCount } = room.settings;
+    room.gameState.turnOrder.forEach((playerId, seat) => {
+      room.players[playerId].team = this.teamsEnabled(room) ? seat % teamCount : null;
+    });
+  }
+
+  /**
+   * Moves a player to another team before the game starts.
+   * @param {string} roomId - The room ID.
+   * @param {string} playerId - The player ID.
+   * @param {number} team - The team index.
+   */
+  setTeam(roomId, playerId, team) {
+    const room = this.rooms[roomId];
+    if (!room) throw new GameError(ErrorCodes.ROOM_NOT_FOUND, `Room with ID ${roomId} does not exist.`);
+    if (room.hasStarted) throw new GameError(ErrorCodes.GAME_STARTED, "Teams can only be changed before the game starts");
+    if (!room.players[playerId]) throw new GameError(ErrorCodes.PLAYER_NOT_FOUND, `Player with ID ${playerId} not found in room ${roomId}.`);
+    if (!this.teamsEnabled(room)) throw new GameError(ErrorCodes.TEAMS_DISABLED, "This room is not playing in teams");
+    if (!Number.isInteger(team) || team < 0 || team >= room.settings.teamCount) {
+      throw new GameError(ErrorCodes.INVALID_TEAM, `Team must be between 1 and ${room.settings.teamCount}`);
+    }
+
+    room.players[playerId].team = team;
+    this.recordAction(roomId, "setTeam", { playerId, team });
+  }
+
+  /**
+   * Reorders the seats so turns alternate between teams, keeping each
+   * team's own seat order.
+   * @param {Object} room - The room.
+   * @returns {Array} The new turn order.
+   */
+  alternateTeams(room) {
+    const teams = this.getTeams(room).map(({ members }) => members);
+    const order = [];
+    for (let seat = 0; order.length < room.gameState.turnOrder.length; seat++) {
+      teams.forEach(members => {
+        if (members[seat]) order.push(members[seat]);
+      });
+    }
+    return order;
+  }
+
+  /**
+   * Sums each team's board positions, scores and round wins.
+   * @param {string} roomId - The room ID.
+   * @returns {Array} Teams as { team, name, members, position, score, roundWins },
+   *   furthest along first.
+   */
+  getTeamStandings(roomId) {
+    const room = this.rooms[roomId];
+    return this.getTeams(room)
+      .map(({ team, name, members }) => ({
+        team,
+        name,
+        members,
+        position: members.reduce((total, id) => total + room.players[id].position, 0),
+        score: members.reduce((total, id) => total + room.players[id].score, 0),
+        roundWins: room.gameState.teamRoundWins?.[team] || 0,
+      }))
+      .sort((a, b) => b.position - a.position || b.score - a.score || a.team - b.team);
+  }
+
+  /**
+   * Ranks teams for the end of a game by combined score, then rounds won.
+   * @param {string} roomId - The room ID.
+   * @returns {Array} Teams as { rank, team, name, members, score, roundWins }.
+   */
+  rankTeams(roomId) {
+    return this.getTeamStandings(roomId)
+      .sort((a, b) => b.score - a.score || b.roundWins - a.roundWins || a.team - b.team)
+      .map(({ team, name, members, score, roundWins }, index) => ({
+        rank: index + 1,
+        team,
+        name,
+        members,
+        score,
+        roundWins,
+      }));
+  }
+
+  /**
+   * Finds a team whose every member has reached the last square.
+   * @param {Object} room - The room.
+   * @returns {number|null} The team, or null if none has finished.
+   */
+  findFinishedTeam(room) {
+    const finished = this.getTeams(room).find(({ members }) => members.length &&
+      members.every(id => room.players[id].position >= room.settings.boardSize));
+    return finished ? finished.team : null;
+  }
+
+  /**
+   * Changes the strategy of a bot or of a bot-controlled seat.
+   * @param {string} roomId - The room ID.
+   * @param {string} playerId - The bot-controlled player ID.
+   * @param {string} strategy - The new strategy name.
+   */
+  setBotStrategy(roomId, playerId, strategy) {
+    const room = this.rooms[roomId];
+    if (!room || !room.players[playerId]) {
+      throw new GameError(ErrorCodes.PLAYER_NOT_FOUND, `Player with ID ${playerId} not found in room ${roomId}.`);
+    }
+    if (!this.aiPlayers.has(playerId)) throw new GameError(ErrorCodes.INVALID_TARGET, "That player is not controlled by a bot");
+    if (!AI_STRATEGIES.includes(strategy)) throw new GameError(ErrorCodes.UNKNOWN_STRATEGY, `Unknown bot strategy: ${strategy}`);
+
+    this.aiPlayers.get(playerId).strategy = strategy;
+    this.recordAction(roomId, "setBotStrategy", { playerId, strategy });
+  }
+
+  /**
+   * Whether a card needs a target player.
+   * @param {Object} card - The card.
+   * @returns {boolean} True unless the card's target is "none".
+   */
+  cardNeedsTarget(card) {
+    return (card.target || "none") !== "none";
+  }
+
+  /**
+   * Issues a session token that lets a player reclaim their seat from a new
+   * socket after a refresh or network drop.
+   * @param {string} roomId - The room ID.
+   * @param {string} playerId - The player ID.
+   * @returns {string} The session token.
+   */
+  createSession(roomId, playerId) {
+    const room = this.rooms[roomId];
+    if (!room || !room.players[playerId]) {
+      throw new GameError(ErrorCodes.PLAYER_NOT_FOUND, `Player with ID ${playerId} not found in room ${roomId}.`);
+    }
+
+    const sessionToken = crypto.randomBytes(24).toString('hex');
+    this.sessions.set(sessionToken, { roomId, playerId });
+    return sessionToken;
+  }
+
+  /**
+   * Creates a signed invite link token that lets its holder into the room
+   * without the password until it expires or is revoked.
+   * @param {string} roomId - The room ID.
+   * @param {string} createdBy - The host creating the invite.
+   * @param {number} [ttl] - Seconds the invite stays valid.
+   * @returns {Object} The invite as { inviteId, token, expiresAt }.
+   */
+  createInvite(roomId, createdBy, ttl = this.INVITE_TTL) {
+    const room = this.rooms[roomId];
+    if (!room) throw new GameError(ErrorCodes.ROOM_NOT_FOUND, `Room with ID ${roomId} does not exist.`);
+
+    const limits = this.INVITE_TTL_LIMITS;
+    if (!Number.isInteger(ttl) || ttl < limits.min || ttl > limits.max) {
+      throw new GameError(ErrorCodes.INVALID_PAYLOAD, `ttl must be a whole number between ${limits.min} and ${limits.max}`);
+    }
+
+    this.pruneInvites(roomId);
+    if (room.invites.size >= this.MAX_INVITES_PER_ROOM) {
+      throw new GameError(ErrorCodes.TOO_MANY_INVITES, `A room can have at most ${this.MAX_INVITES_PER_ROOM} open invites`);
+    }
+
+    const inviteId = crypto.randomBytes(6).toString('hex');
+    const expiresAt = this.scheduler.now() + ttl * 1000;
+    room.invites.set(inviteId, { createdBy, expiresAt });
+
+    const token = signToken({ roomId, inviteId, expiresAt }, this.inviteSecret);
+    return { inviteId, token, expiresAt };
+  }
+
+  /**
+   * Checks an invite token.
+   * @param {string} token - The token from `createInvite`.
+   * @param {string} [roomId] - The room it must be for.
+   * @returns {string} The room the invite is for.
+   */
+  verifyInvite(token, roomId = null) {
+    const invite = readToken(token, this.inviteSecret);
+    if (!invite || (roomId && invite.roomId !== roomId)) {
+      throw new GameError(ErrorCodes.INVALID_INVITE, "Invalid invite link");
+    }
+    if (invite.expiresAt <= this.scheduler.now()) {
+      throw new GameError(ErrorCodes.INVITE_EXPIRED, "This invite link has expired");
+    }
+
+    const room = this.rooms[invite.roomId];
+    if (!room) {
+      throw new GameError(ErrorCodes.ROOM_NOT_FOUND, `Room with ID ${invite.roomId} does not exist.`);
+    }
+    if (!room.invites.has(invite.inviteId)) {
+      throw new GameError(ErrorCodes.INVALID_INVITE, "This invite link has been revoked");
+    }
+    return invite.roomId;
+  }
+
+  /**
+   * Revokes an invite so its link stops working.
+   * @param {string} roomId - The room ID.
+   * @param {string} inviteId - The invite ID.
+   */
+  revokeInvite(roomId, inviteId) {
+    const room = this.rooms[roomId];
+    if (!room) throw new GameError(ErrorCodes.ROOM_NOT_FOUND, `Room with ID ${roomId} does not exist.`);
+    if (!room.invites.delete(inviteId)) {
+      throw new GameError(ErrorCodes.INVALID_INVITE, "No such invite in this room");
+    }
+  }
+
+  /**
+   * Lists a room's open invites.
+   * @param {string} roomId - The room ID.
+   * @returns {Array} Invites as { inviteId, createdBy, expiresAt }.
+   */
+  listInvites(roomId) {
+    const room = this.rooms[roomId];
+    if (!room) throw new GameError(ErrorCodes.ROOM_NOT_FOUND, `Room with ID ${roomId} does not exist.`);
+
+    this.pruneInvites(roomId);
+    return [...room.invites].map(([inviteId, invite]) => ({ inviteId, ...invite }));
+  }
+
+  /**
+   * Forgets a room's expired invites.
+   * @param {string} roomId - The room ID.
+   */
+  pruneInvites(roomId) {
+    const room = this.rooms[roomId];
+    const now = this.scheduler.now();
+    room.invites.forEach((invite, inviteId) => {
+      if (invite.expiresAt <= now) room.invites.delete(inviteId);
+    });
+  }
+
+  /**
+   * Moves the seat held by a session token to a new socket.
+   * @param {string} sessionToken - The token issued on join.
+   * @param {string} newPlayerId - The new socket ID.
+   * @returns {Object} The room ID and the player's previous ID.
+   */
+  rejoinRoom(sessionToken, newPlayerId) {
+    const session = this.sessions.get(sessionToken);
+    if (!session) throw new GameError(ErrorCodes.INVALID_SESSION, "Invalid or expired session");
+
+    const { roomId, playerId } = session;
+    const room = this.rooms[roomId];
+    if (!room || !room.players[playerId]) {
+      this.sessions.delete(sessionToken);
+      throw new GameError(ErrorCodes.SEAT_UNAVAILABLE, "Your seat is no longer available");
+    }
+
+    this.restoreSeat(roomId, playerId, newPlayerId);
+
+    console.log(`${room.players[newPlayerId].username} rejoined room ${roomId}.`);
+    return { roomId, previousId: playerId };
+  }
+
+  /**
+   * Hands a held seat back to its human player under a new ID.
+   * @param {string} roomId - The room ID.
+   * @param {string} previousId - The seat's current ID.
+   * @param {string} playerId - The player's new ID.
+   */
+  restoreSeat(roomId, previousId, playerId) {
+    const room = this.rooms[roomId];
+
+    if (previousId !== playerId) {
+      this.reassignPlayer(roomId, previousId, playerId);
+    }
+
+    // The human is back, so any bot takeover ends here
+    room.disconnectedPlayers.delete(playerId);
+    this.aiPlayers.delete(playerId);
+    room.players[playerId].connected = true;
+    this.stopWatching(roomId, playerId);
+    this.recordAction(roomId, "rejoin", { previousId, playerId });
+
+    // A room left without a host while everyone was away gets one back
+    if (!room.hostId) {
+      this.setHost(roomId, playerId);
+      this.emitRoomEvent(roomId, "hostChanged", { hostId: playerId, reason: "promoted" });
+    }
+  }
+
+  /**
+   * Re-keys a seat from one player ID to another, carrying over turn order,
+   * host role, round wins, blocked state and any bot takeover.
+   * @param {string} roomId - The room ID.
+   * @param {string} oldId - The player's current ID.
+   * @param {string} newId - The player's new ID.
+   */
+  reassignPlayer(roomId, oldId, newId) {
+    const room = this.rooms[roomId];
+    if (!room || !room.players[oldId]) {
+      throw new GameError(ErrorCodes.PLAYER_NOT_FOUND, `Player with ID ${oldId} not found in room ${roomId}.`);
+    }
+    if (room.players[newId]) {
+      throw new GameError(ErrorCodes.ALREADY_IN_ROOM, `Player with ID ${newId} is already in room ${roomId}.`);
+    }
+
+    const swapId = id => (id === oldId ? newId : id);
+    const { gameState } = room;
+
+    room.players[newId] = room.players[oldId];
+    delete room.players[oldId];
+
+    gameState.turnOrder = gameState.turnOrder.map(swapId);
+    gameState.roundWinners = gameState.roundWinners.map(swapId);
+    gameState.currentTurn = swapId(gameState.currentTurn);
+    gameState.winner = swapId(gameState.winner);
+    if (gameState.pendingReaction) {
+      gameState.pendingReaction.attackerId = swapId(gameState.pendingReaction.attackerId);
+      gameState.pendingReaction.targetId = swapId(gameState.pendingReaction.targetId);
+    }
+    room.hostId = swapId(room.hostId);
+
+    if (room.disconnectedPlayers.delete(oldId)) {
+      room.disconnectedPlayers.add(newId);
+    }
+
+    if (this.aiPlayers.has(oldId)) {
+      this.aiPlayers.set(newId, this.aiPlayers.get(oldId));
+      this.aiPlayers.delete(oldId);
+    }
+
+    if (room.seatHolds.has(oldId)) {
+      room.seatHolds.set(newId, room.seatHolds.get(oldId));
+      room.seatHolds.delete(oldId);
+    }
+
+    if (room.pauseVotes.delete(oldId)) {
+      room.pauseVotes.add(newId);
+    }
+    if (room.pause) {
+      room.pause.by = swapId(room.pause.by);
+    }
+
+    if (room.rematchVotes.delete(oldId)) {
+      room.rematchVotes.add(newId);
+    }
+    if (room.series.wins[oldId]) {
+      room.series.wins[newId] = room.series.wins[oldId];
+      delete room.series.wins[oldId];
+    }
+
+    this.sessions.forEach(session => {
+      if (session.roomId === roomId && session.playerId === oldId) {
+        session.playerId = newId;
+      }
+    });
+  }
+
+  /**
+   * Marks a player as dropped and holds their seat for the grace period.
+   * Reconnecting with the session token cancels the hold.
+   * @param {string} roomId - The room ID.
+   * @param {string} playerId - The player ID.
+   * @param {Function} onExpire - Called with the player's current ID when the hold runs out.
+   */
+  holdSeat(roomId, playerId, onExpire) {
+    const room = this.rooms[roomId];
+    if (!room || !room.players[playerId]) return;
+
+    room.players[playerId].connected = false;
+    this.releaseSeat(roomId, playerId);
+    this.recordAction(roomId, "seatHeld", { playerId });
+
+    const key = this.jobKey(roomId, `seat:${playerId}`);
+    this.scheduler.scheduleIn(key, this.SEAT_GRACE_PERIOD * 1000, () => {
+      // The seat may have been re-keyed while we waited
+      const [currentId] = [...room.seatHolds.entries()]
+        .find(([, holdKey]) => holdKey === key) || [];
+      if (!currentId) return;
+
+      room.seatHolds.delete(currentId);
+      if (room.players[currentId] && !room.players[currentId].connected) {
+        onExpire(currentId);
+      }
+    });
+
+    room.seatHolds.set(playerId, key);
+  }
+
+  /**
+   * Cancels a pending seat hold.
+   * @param {string} roomId - The room ID.
+   * @param {string} playerId - The player ID.
+   */
+  releaseSeat(roomId, playerId) {
+    const room = this.rooms[roomId];
+    if (!room || !room.seatHolds.has(playerId)) return;
+
+    this.scheduler.cancel(room.seatHolds.get(playerId));
+    room.seatHolds.delete(playerId);
+  }
+
+  /**
+   * Removes a room and everything attached to it.
+   * @param {string} roomId - The room ID.
+   */
+  deleteRoom(roomId) {
+    const room = this.rooms[roomId];
+    if (!room) return;
+
+    this.scheduler.cancelPrefix(this.jobKey(roomId, ""));
+    Object.keys(room.players).forEach(playerId => this.aiPlayers.delete(playerId));
+
+    this.sessions.forEach((session, token) => {
+      if (session.roomId === roomId) this.sessions.delete(token);
+    });
+
+    delete this.rooms[roomId];
+    this.publicRooms.delete(roomId);
+    this.roomPasswords.delete(roomId);
+    this.emit("roomDeleted", roomId);
+  }
+
+  /**
+   * Captures everything needed to bring a room back after a restart. Timers,
+   * spectators and sockets are left out; they are rebuilt on restore.
+   * @param {string} roomId - The room ID.
+   * @returns {Object} A JSON-safe snapshot.
+   */
+  serializeRoom(roomId) {
+    const room = this.rooms[roomId];
+    if (!room) {
+      throw new GameError(ErrorCodes.ROOM_NOT_FOUND, `Room with ID ${roomId} does not exist.`);
+    }
+
+    const playerIds = Object.keys(room.players);
+    const sessions = [];
+    this.sessions.forEach((session, token) => {
+      if (session.roomId === roomId) sessions.push([token, session.playerId]);
+    });
+
+    return {
+      roomId,
+      settings: room.settings,
+      seed: room.seed,
+      rngState: room.rng.getState(),
+      botRngState: room.botRng.getState(),
+      actionLog: room.actionLog,
+      gameState: room.gameState,
+      // Deadlines mean nothing after a restart; the time left does
+      turnRemaining: room.pause
+        ? room.pause.turnRemaining
+        : this.scheduler.remaining(this.jobKey(roomId, "turn")),
+      reactionRemaining: room.pause
+        ? room.pause.reactionRemaining
+        : this.scheduler.remaining(this.jobKey(roomId, "reaction")),
+      roundRemaining: room.pause
+        ? room.pause.roundRemaining
+        : this.scheduler.remaining(this.jobKey(roomId, "round")),
+      players: room.players,
+      isPublic: room.isPublic,
+      hasStarted: room.hasStarted,
+      hostId: room.hostId,
+      disconnectedPlayers: [...room.disconnectedPlayers],
+      passwordHash: this.roomPasswords.get(roomId) || null,
+      series: room.series,
+      rematchVotes: [...room.rematchVotes],
+      invites: [...room.invites],
+      aiPlayers: playerIds
+        .filter(id => this.aiPlayers.has(id))
+        .map(id => [id, this.aiPlayers.get(id).strategy]),
+      sessions,
+    };
+  }
+
+  /**
+   * Rebuilds a room from a snapshot taken by `serializeRoom`. Every human is
+   * marked disconnected until they rejoin with their session token.
+   * @param {Object} snapshot - The snapshot.
+   */
+  restoreRoom(snapshot) {
+    const { roomId } = snapshot;
+    if (this.rooms[roomId]) {
+      throw new GameError(ErrorCodes.ROOM_EXISTS, `Room with ID ${roomId} already exists.`);
+    }
+
+    const players = snapshot.players;
+    Object.values(players).forEach(player => {
+      if (!player.isBot) player.connected = false;
+    });
+
+    const { gameState } = snapshot;
+    gameState.turnDeadline = null;
+    gameState.roundDeadline = null;
+    if (gameState.pendingReaction) gameState.pendingReaction.deadline = null;
+
+    // Nobody is connected after a restart, so a game in progress waits
+    // paused with its clocks frozen until a player rejoins
+    const inProgress = snapshot.hasStarted && !gameState.winner;
+    const pause = inProgress ? {
+      reason: "disconnected",
+      by: null,
+      pausedAt: this.scheduler.now(),
+      resumesAt: null,
+      turnRemaining: snapshot.turnRemaining ?? null,
+      reactionRemaining: snapshot.reactionRemaining ?? null,
+      roundRemaining: snapshot.roundRemaining ?? null,
+    } : null;
+
+    this.rooms[roomId] = {
+      settings: snapshot.settings,
+      seed: snapshot.seed,
+      rng: createRng(snapshot.seed, snapshot.rngState),
+      botRng: createRng(snapshot.seed ^ 0x9E3779B9, snapshot.botRngState),
+      actionLog: snapshot.actionLog,
+      isReplay: false,
+      gameState,
+      players,
+      isPublic: snapshot.isPublic,
+      hasStarted: snapshot.hasStarted,
+      hostId: snapshot.hostId,
+      disconnectedPlayers: new Set(snapshot.disconnectedPlayers),
+      seatHolds: new Map(),
+      pause,
+      pauseVotes: new Set(),
+      invites: new Map(snapshot.invites || []),
+      series: snapshot.series || { gamesPlayed: 0, wins: {} },
+      rematchVotes: new Set(snapshot.rematchVotes || []),
+      spectators: new Map(),
+    };
+
+    if (snapshot.isPublic) {
+      this.publicRooms.add(roomId);
+    }
+    // Snapshots from before hashing hold the plaintext password
+    const storedPassword = snapshot.passwordHash || snapshot.password;
+    if (storedPassword) {
+      this.roomPasswords.set(roomId, isPasswordHash(storedPassword) ? storedPassword : hashPassword(storedPassword));
+    }
+    snapshot.aiPlayers.forEach(([playerId, strategy]) => {
+      this.aiPlayers.set(playerId, { strategy, originalPlayer: players[playerId] });
+    });
+    snapshot.sessions.forEach(([token, playerId]) => {
+      this.sessions.set(token, { roomId, playerId });
+    });
+
+    console.log(`Room ${roomId} restored from snapshot.`);
+  }
+
+  /**
+   * Handles playing a card.
+   * @param {string} roomId - The room ID.
+   * @param {string} playerId - The player ID.
+   * @param {number} cardIndex - The index of the card to play.
+   * @param {string} [targetPlayerId] - The targeted player's ID (if applicable).
+   * @param {string} [direction] - The direction of movement (forward or backward).
+   * @returns {Object} Result of the card play.
+   */
+  playCard(roomId, playerId, cardIndex, targetPlayerId = null, direction = 'forward') {
+    const room = this.rooms[roomId];
+    if (!room) throw new GameError(ErrorCodes.ROOM_NOT_FOUND, `Room with ID ${roomId} does not exist.`);
+    if (!room.gameState.gameStarted) throw new GameError(ErrorCodes.GAME_NOT_STARTED, `Game has not started yet.`);
+    if (room.pause) throw new GameError(ErrorCodes.GAME_PAUSED, `The game is paused.`);
+    if (room.spectators.has(playerId)) throw new GameError(ErrorCodes.NOT_A_PLAYER, "Spectators cannot play cards");
+
+    const player = room.players[playerId];
+    if (!player) throw new GameError(ErrorCodes.PLAYER_NOT_FOUND, `Player with ID ${playerId} not found in room ${roomId}.`);
+    if (player.hand.length <= cardIndex || cardIndex < 0) throw new GameError(ErrorCodes.INVALID_CARD, `Invalid card index.`);
+
+    if (room.gameState.currentTurn !== playerId) throw new GameError(ErrorCodes.NOT_YOUR_TURN, `It's not your turn.`);
+    if (room.gameState.winner) throw new GameError(ErrorCodes.GAME_OVER, `Game has already ended.`);
+    if (room.gameState.pendingReaction) {
+      throw new GameError(ErrorCodes.REACTION_PENDING, "Waiting for the targeted player to respond.");
+    }
+
+    const card = player.hand[cardIndex];
+    if (!card) throw new GameError(ErrorCodes.INVALID_CARD, `Invalid card index.`);
+
+    // Validate target player for Mind Play and Swap Places
+    if (this.cardNeedsTarget(card) && (!targetPlayerId || !room.players[targetPlayerId])) {
+      throw new GameError(ErrorCodes.INVALID_TARGET, "Must select a valid target player");
+    }
+
+    const targetError = this.findTargetError(room, playerId, card, targetPlayerId);
+    if (targetError) throw new GameError(ErrorCodes.INVALID_TARGET, targetError);
+    if (card.reaction) {
+      throw new GameError(ErrorCodes.INVALID_CARD, "Counter cards can only be played in response to a card");
+    }
+
+    this.recordAction(roomId, "playCard", { playerId, cardIndex, targetPlayerId, direction });
+    player.hand.splice(cardIndex, 1);
+    player.cardsPlayed = (player.cardsPlayed || 0) + 1;
+
+    // Every card aimed at someone else waits for their answer, whether or
+    // not they hold a counter, so the pause gives nothing away
+    const target = this.cardNeedsTarget(card) && targetPlayerId !== playerId ? room.players[targetPlayerId] : null;
+    if (target) {
+      room.gameState.pendingReaction = {
+        attackerId: playerId,
+        targetId: targetPlayerId,
+        card,
+        direction,
+        deadline: null, // set when the reaction clock starts
+      };
+      this.emitPlayerEvent(roomId, targetPlayerId, "reactionWindow", {
+        attackerId: playerId,
+        targetId: targetPlayerId,
+        card,
+        reactionTime: this.REACTION_TIME,
+      });
+      return {
+        message: `${player.username} played ${card.effect} on ${target.username}, who may respond.`,
+        hand: player.hand,
+        effect: null,
+      };
+    }
+
+    return this.resolveCard(roomId, playerId, card, targetPlayerId, direction);
+  }
+
+  /**
+   * Carries out a played card and ends the turn, or the round if the player
+   * reached the last square.
+   * @param {string} roomId - The room ID.
+   * @param {string} playerId - The player who played the card.
+   * @param {Object} card - The card, already taken from their hand.
+   * @param {string} [targetPlayerId] - The targeted player's ID (if applicable).
+   * @param {string} [direction] - The direction of movement (forward or backward).
+   * @param {Object} [counter] - The target's answer, as { playerId, effect, reaction }.
+   * @returns {Object} Result of the card play.
+   */
+  resolveCard(roomId, playerId, card, targetPlayerId = null, direction = 'forward', counter = null) {
+    const room = this.rooms[roomId];
+    const player = room.players[playerId];
+    const before = snapshotPositions(room);
+    const slotsBefore = snapshotSlots(room);
+    let effect;
+
+    if (counter?.reaction === "block" ||
+      (counter?.reaction === "reflect" && this.findTargetError(room, targetPlayerId, card, playerId))) {
+      // Blocked, or reflected back at someone it cannot affect
+      effect = createEffect(card, playerId, targetPlayerId);
+    } else if (counter?.reaction === "reflect") {
+      effect = this.applyCard(roomId, targetPlayerId, card, playerId, direction);
+      effect.actor = playerId;
+      effect.target = targetPlayerId;
+    } else {
+      const played = counter?.reaction === "halve" ? { ...card, value: Math.floor(card.value / 2) } : card;
+      effect = this.applyCard(roomId, playerId, played, targetPlayerId, direction);
+    }
+    effect.counter = counter;
+
+    this.resolveLandings(roomId, effect, slotsBefore);
+    recordPositionDeltas(effect, room, before);
+
+    // Discard the played card and draw a new one
+    room.gameState.discardPile.push(card);
+    const newCards = this.drawCards(roomId, 1);
+    player.hand.push(...newCards);
+    if (newCards.length) {
+      effect.cardsDrawn.push({ playerId, count: newCards.length });
+    }
+
+    // Reaching the last square wins the round; the winner leads the next
+    // one. In team games the whole team has to get there.
+    const finishedTeam = this.teamsEnabled(room) ? this.findFinishedTeam(room) : null;
+    const roundWon = this.teamsEnabled(room)
+      ? finishedTeam !== null
+      : player.position >= room.settings.boardSize;
+    effect.roundWon = roundWon;
+    effect.winningTeam = finishedTeam;
+
+    console.log(describeEffect(effect, room.players));
+    this.emitRoomEvent(roomId, "cardPlayed", effect);
+
+    if (roundWon) {
+      const round = room.gameState.currentRound;
+      this.endRound(roomId, "finish");
+      return {
+        message: `${finishedTeam !== null ? this.teamName(finishedTeam) : player.username} has won round ${round}!`,
+        hand: player.hand,
+        effect,
+      };
+    }
+
+    this.endTurn(roomId);
+
+    return {
+      message: `${player.username} played a card.`,
+      hand: player.hand,
+      effect,
+    };
+  }
+
+  /**
+   * Applies a card's effect to the board and players.
+   * @param {string} roomId - The room ID.
+   * @param {string} playerId - The player the card acts for.
+   * @param {Object} card - The card.
+   * @param {string} [targetPlayerId] - The targeted player's ID (if applicable).
+   * @param {string} [direction] - The direction of movement (forward or backward).
+   * @returns {Object} The effect record.
+   */
+  applyCard(roomId, playerId, card, targetPlayerId, direction) {
+    const room = this.rooms[roomId];
+    const effect = createEffect(card, playerId, targetPlayerId, takesDirection(card) ? direction : null);
+
+    runActions({
+      game: this,
+      roomId,
+      room,
+      actorId: playerId,
+      targetId: targetPlayerId,
+      card,
+      direction,
+      effect,
+    });
+    return effect;
+  }
+
+  /**
+   * Explains why a card cannot be aimed at a target.
+   * @param {Object} room - The room.
+   * @param {string} playerId - The player playing the card.
+   * @param {Object} card - The card.
+   * @param {string} [targetPlayerId] - The targeted player's ID.
+   * @returns {string|null} The reason, or null if the target is fine.
+   */
+  findTargetError(room, playerId, card, targetPlayerId) {
+    const problem = findTargetProblem({ game: this, room, actorId: playerId, targetId: targetPlayerId, card });
+    if (problem || !this.cardNeedsTarget(card)) return problem;
+
+    if (targetPlayerId !== playerId && !room.settings.allowTeamTargeting &&
+      this.areTeammates(room, playerId, targetPlayerId)) {
+      return "Cannot target a teammate";
+    }
+    return null;
+  }
+
+  /**
+   * Whether a card can answer another card aimed at its holder.
+   * @param {Object} counter - The card in the target's hand.
+   * @param {Object} card - The card being answered.
+   * @returns {boolean} True if it can be played against it.
+   */
+  canCounter(counter, card) {
+    if (!counter.reaction) return false;
+    // Halving only means something for cards with a value
+    return counter.reaction !== "halve" || card.value > 0;
+  }
+
+  /**
+   * Answers the pending card with a counter from the target's hand: Block
+   * cancels it, Reflect turns it on whoever played it and Halve halves its
+   * value.
+   * @param {string} roomId - The room ID.
+   * @param {string} playerId - The targeted player.
+   * @param {number} cardIndex - The index of the counter card.
+   * @returns {Object} Result of the card play.
+   */
+  playCounter(roomId, playerId, cardIndex) {
+    const room = this.rooms[roomId];
+    const pending = this.requireReaction(roomId, playerId);
+
+    const counter = room.players[playerId].hand[cardIndex];
+    if (!counter) throw new GameError(ErrorCodes.INVALID_CARD, "Invalid card index.");
+    if (!this.canCounter(counter, pending.card)) {
+      throw new GameError(ErrorCodes.INVALID_CARD, `${counter.effect} cannot answer ${pending.card.effect}`);
+    }
+
+    this.recordAction(roomId, "playCounter", { playerId, cardIndex });
+    const player = room.players[playerId];
+    player.hand.splice(cardIndex, 1);
+    player.cardsPlayed = (player.cardsPlayed || 0) + 1;
+    room.gameState.discardPile.push(counter);
+
+    // Like any played card, a counter is replaced from the deck
+    player.hand.push(...this.drawCards(roomId, 1));
+    return this.resolveReaction(roomId, { playerId, effect: counter.effect, reaction: counter.reaction });
+  }
+
+  /**
+   * Lets the pending card through without waiting out the window.
+   * @param {string} roomId - The room ID.
+   * @param {string} playerId - The targeted player.
+   * @returns {Object} Result of the card play.
+   */
+  declineCounter(roomId, playerId) {
+    this.requireReaction(roomId, playerId);
+    this.recordAction(roomId, "declineCounter", { playerId });
+    return this.resolveReaction(roomId);
+  }
+
+  /**
+   * Checks that a player may answer the room's pending card.
+   * @param {string} roomId - The room ID.
+   * @param {string} playerId - The answering player.
+   * @returns {Object} The pending reaction.
+   */
+  requireReaction(roomId, playerId) {
+    const room = this.rooms[roomId];
+    if (!room) throw new GameError(ErrorCodes.ROOM_NOT_FOUND, `Room with ID ${roomId} does not exist.`);
+    if (room.pause) throw new GameError(ErrorCodes.GAME_PAUSED, "The game is paused.");
+
+    const pending = room.gameState.pendingReaction;
+    if (!pending) throw new GameError(ErrorCodes.NO_REACTION_PENDING, "There is no card to respond to.");
+    if (pending.targetId !== playerId) {
+      throw new GameError(ErrorCodes.NOT_YOUR_TURN, "Only the targeted player can respond.");
+    }
+    return pending;
+  }
+
+  /**
+   * Closes the reaction window and carries out the pending card.
+   * @param {string} roomId - The room ID.
+   * @param {Object} [counter] - The target's answer, as { playerId, effect, reaction }.
+   * @returns {Object} Result of the card play.
+   */
+  resolveReaction(roomId, counter = null) {
+    const room = this.rooms[roomId];
+    const { attackerId, targetId, card, direction } = room.gameState.pendingReaction;
+
+    room.gameState.pendingReaction = null;
+    this.scheduler.cancel(this.jobKey(roomId, "reaction"));
+    this.scheduler.cancel(this.jobKey(roomId, "ai"));
+
+    return this.resolveCard(roomId, attackerId, card, targetId, direction, counter);
+  }
+
+  /**
+   * Throws away a pending card without effect, e.g. when the round ends
+   * before its target answers. The attacker still draws its replacement.
+   * @param {string} roomId - The room ID.
+   */
+  dropReaction(roomId) {
+    const room = this.rooms[roomId];
+    const pending = room.gameState.pendingReaction;
+    if (!pending) return;
+
+    room.gameState.pendingReaction = null;
+    room.gameState.discardPile.push(pending.card);
+    room.players[pending.attackerId]?.hand.push(...this.drawCards(roomId, 1));
+    this.scheduler.cancel(this.jobKey(roomId, "reaction"));
+  }
+
+  /**
+   * Swaps positions with a random other player.
+   * @param {string} roomId - The room ID.
+   * @param {string} playerId - The player ID.
+   */
+  swapPlaces(roomId, playerId, targetPlayerId) {
+    const room = this.rooms[roomId];
+    const player = room.players[playerId];
+    const targetPlayer = room.players[targetPlayerId];
+
+    if (!targetPlayer) {
+      throw new GameError(ErrorCodes.PLAYER_NOT_FOUND, "Target player not found");
+    }
+
+    const tempPosition = player.position;
+    player.position = targetPlayer.position;
+    targetPlayer.position = tempPosition;
+  }
+
+  /**
+   * Shuffles the game board.
+   * @param {string} roomId - The room ID.
+   */
+  shuffleBoard(roomId) {
+    const room = this.rooms[roomId];
+    if (!room || !room.gameState.board) {
+      throw new GameError(ErrorCodes.ROOM_NOT_FOUND, `Board not found for room ${roomId}.`);
+    }
+
+    // Store current player positions and their corresponding board values
+    const playerPositions = {};
+    Object.entries(room.players).forEach(([playerId, player]) => {
+      playerPositions[playerId] = player.position;
+    });
+
+    // Shuffle the board
+    room.gameState.board = this.shuffleDeck([...room.gameState.board], room.rng);
+
+    // Update player positions based on new board positions
+    Object.entries(playerPositions).forEach(([playerId, squareNumber]) => {
+      // Find the new index of the player's square number
+      const newIndex = room.gameState.board.indexOf(squareNumber);
+      if (newIndex === -1) {
+        console.error(`Square number ${squareNumber} not found after shuffle`);
+        room.players[playerId].position = room.gameState.board[0];
+      } else {
+        room.players[playerId].position = squareNumber;
+      }
+    });
+  }
+
+  /**
+   * Sets off the tile under every player whose slot on the board changed
+   * since a snapshot, following boosts and traps onto further tiles.
+   * @param {string} roomId - The room ID.
+   * @param {Object} effect - The effect record to add the tiles to.
+   * @param {Object} slotsBefore - A snapshot from `snapshotSlots`.
+   */
+  resolveLandings(roomId, effect, slotsBefore) {
+    const room = this.rooms[roomId];
+    const { board, tiles = {} } = room.gameState;
+
+    Object.entries(room.players).forEach(([playerId, player]) => {
+      let slot = board.indexOf(player.position);
+      if (slotsBefore[playerId] === undefined || slotsBefore[playerId] === slot) return;
+
+      for (let chain = 0; chain < this.MAX_TILE_CHAIN && tiles[slot]; chain++) {
+        const next = this.triggerTile(roomId, playerId, slot, effect);
+        if (next === slot) break;
+        slot = next;
+      }
+    });
+  }
+
+  /**
+   * Applies the tile a player landed on.
    * @param {string} roomId - The room ID.
    * @param {string} playerId - The player ID.
+   * @param {number} slot - The board index landed on.
+   * @param {Object} effect - The effect record.
+   * @returns {number} The board index the player ends up on.
+   */
+  triggerTile(roomId, playerId, slot, effect) {
+    const room = this.rooms[roomId];
+    const { board, tiles } = room.gameState;
+    const player = room.players[playerId];
+    const tile = tiles[slot];
+    let next = slot;
+
+    effect.tilesTriggered.push({ playerId, slot, type: tile.type, value: tile.value });
+
+    switch (tile.type) {
+      case "trap":
+        // Never sends a player back past their last checkpoint
+        next = Math.max(Math.min(player.checkpoint ?? 0, slot), slot - tile.value);
+        break;
+      case "boost":
+        next = Math.min(board.length - 1, slot + tile.value);
+        break;
+      case "draw": {
+        const newCards = this.drawCards(roomId, tile.value);
+        player.hand.push(...newCards);
+        if (newCards.length) effect.cardsDrawn.push({ playerId, count: newCards.length });
+        break;
+      }
+      case "loseTurn":
+        player.isBlocked = true;
+        effect.blocked.push(playerId);
+        break;
+      case "checkpoint":
+        player.checkpoint = slot;
+        break;
+    }
+
+    player.position = board[next];
+    return next;
+  }
+
+  /**
+   * Draws a specified number of cards for a room.
+   * @param {string} roomId - The room ID.
+   * @param {number} count - The number of cards to draw.
+   * @returns {Array} The drawn cards.
+   */
+  drawCards(roomId, count) {
+    const room = this.rooms[roomId];
+    const cards = [];
+
+    for (let i = 0; i < count; i++) {
+      if (room.gameState.cardDeck.length === 0) {
+        // Every card is in someone's hand; nothing left to draw
+        if (room.gameState.discardPile.length === 0) break;
+
+        room.gameState.cardDeck = this.shuffleDeck(room.gameState.discardPile, room.rng);
+        room.gameState.discardPile = [];
+        console.log(`Discard pile reshuffled into a deck of ${room.gameState.cardDeck.length} cards.`);
+      }
+      cards.push(room.gameState.cardDeck.pop());
+    }
+
+    return cards;
+  }
+
+  /**
+   * Shuffles a deck of cards.
+   * @param {Array} deck - The deck to shuffle.
+   * @param {Function} [rng] - The random source, usually the room's.
+   * @returns {Array} The shuffled deck.
+   */
+  shuffleDeck(deck, rng = Math.random) {
+    for (let i = deck.length - 1; i > 0; i--) {
+      const j = Math.floor(rng() * (i + 1));
+      [deck[i], deck[j]] = [deck[j], deck[i]];
+    }
+    return deck;
+  }
+
+  /**
+   * Resets and starts the turn timer for a room. Clients get the deadline in
+   * the game state and count down locally; nothing is sent per second.
+   * @param {string} roomId - The room ID.
+   * @param {Object} io - The socket.io instance.
+   * @param {number} [duration] - Time for the turn in ms; defaults to the room's turn time.
+   */
+  resetAndStartTimer(roomId, io, duration = null) {
+    const room = this.rooms[roomId];
+    // A paused game picks its clocks back up in resumeGame
+    if (!room || room.pause) return;
+
+    // The turn clock waits while a card's target decides how to answer
+    if (room.gameState.pendingReaction) {
+      this.startReactionClock(roomId, io, duration);
+      return;
+    }
+
+    // Scheduling under the same key replaces any running turn timer
+    room.gameState.turnDeadline = this.scheduler.scheduleIn(
+      this.jobKey(roomId, "turn"),
+      duration ?? room.settings.turnTime * 1000,
+      () => {
+        this.recordAction(roomId, "turnTimeout", { playerId: room.gameState.currentTurn });
+        this.endTurn(roomId);
+        io.to(roomId).emit("timerExpired");
+        if (this.rooms[roomId] && !room.gameState.winner) {
+          this.resetAndStartTimer(roomId, io); // Start timer for next turn
+        }
+        this.emitGameState(roomId, io);
+      }
+    );
+
+    this.scheduleAITurn(roomId, io);
+  }
+
+  /**
+   * Gives a card's target `REACTION_TIME` to answer it; a bot answers after
+   * a short delay. Unanswered cards go through when the time runs out.
+   * @param {string} roomId - The room ID.
+   * @param {Object} io - The socket.io instance.
+   * @param {number} [duration] - Time left to answer in ms; defaults to the full window.
+   */
+  startReactionClock(roomId, io, duration = null) {
+    const room = this.rooms[roomId];
+    const pending = room.gameState.pendingReaction;
+
+    this.scheduler.cancel(this.jobKey(roomId, "turn"));
+    this.scheduler.cancel(this.jobKey(roomId, "ai"));
+    room.gameState.turnDeadline = null;
+
+    const finish = (result) => {
+      if (!this.rooms[roomId]) return;
+      if (!room.gameState.winner) {
+        this.resetAndStartTimer(roomId, io);
+      }
+      this.emitGameState(roomId, io, {
+        lastAction: result.message,
+        eventDetails: result.effect ? describeEffect(result.effect, room.players) : null,
+      });
+    };
+
+    pending.deadline = this.scheduler.scheduleIn(
+      this.jobKey(roomId, "reaction"),
+      duration ?? this.REACTION_TIME * 1000,
+      () => {
+        this.recordAction(roomId, "reactionTimeout");
+        finish(this.resolveReaction(roomId));
+      }
+    );
+
+    if (this.aiPlayers.has(pending.targetId)) {
+      this.scheduler.scheduleIn(this.jobKey(roomId, "ai"), this.AI_REACTION_DELAY, () => {
+        if (room.gameState.pendingReaction !== pending) return;
+        finish(this.playAIReaction(roomId, pending.targetId));
+      });
+    }
+  }
+
+  /**
+   * Lets a bot-controlled player take its turn after a short delay.
+   * @param {string} roomId - The room ID.
+   * @param {Object} io - The socket.io instance.
+   */
+  scheduleAITurn(roomId, io) {
+    const room = this.rooms[roomId];
+    if (!room) return;
+
+    const key = this.jobKey(roomId, "ai");
+    this.scheduler.cancel(key);
+
+    const { currentTurn, gameStarted, winner } = room.gameState;
+    if (!gameStarted || winner || room.pause || !this.aiPlayers.has(currentTurn)) return;
+
+    this.scheduler.scheduleIn(key, this.AI_TURN_DELAY, () => {
+      // A rejoin or the turn timer may have beaten us to it
+      if (!this.rooms[roomId] || room.gameState.winner) return;
+      if (room.gameState.currentTurn !== currentTurn || !this.aiPlayers.has(currentTurn)) return;
+
+      let lastAction;
+      let eventDetails = null;
+      try {
+        const result = this.playAITurn(roomId, currentTurn);
+        lastAction = result?.message;
+        if (result?.effect) eventDetails = describeEffect(result.effect, room.players);
+      } catch (error) {
+        console.error(`Bot ${currentTurn} failed to play:`, error.message);
+        this.passTurn(roomId, currentTurn);
+      }
+
+      if (!room.gameState.winner) {
+        this.resetAndStartTimer(roomId, io);
+      }
+      this.emitGameState(roomId, io, { lastAction, eventDetails });
+    });
+  }
+
+  /**
+   * Starts the turn timer for a room.
+   * @param {string} roomId - The room ID.
+   * @param {Object} io - The socket.io instance.
+   */
+  startTimer(roomId, io) {
+    this.resetAndStartTimer(roomId, io);
+  }
+
+  /**
+   * Ends the current turn and moves to the next.
+   * @param {string} roomId - The room ID.
+   */
+  endTurn(roomId) {
+    const room = this.rooms[roomId];
+    if (!room) return;
+
+    // A card still waiting on its target goes through unanswered, and
+    // ends the turn itself once it has
+    if (room.gameState.pendingReaction) {
+      this.resolveReaction(roomId);
+      return;
+    }
+
+    // Clear existing timer if any
+    this.scheduler.cancel(this.jobKey(roomId, "turn"));
+    room.gameState.turnDeadline = null;
+
+    // Clean up turnOrder to only include existing players
+    room.gameState.turnOrder = room.gameState.turnOrder.filter(playerId => 
+      room.players[playerId] !== undefined
+    );
+
+    // If no players left, return
+    if (room.gameState.turnOrder.length === 0) return;
+
+    const currentTurnIndex = room.gameState.turnOrder.indexOf(room.gameState.currentTurn);
+    let nextTurnIndex = (currentTurnIndex + 1) % room.gameState.turnOrder.length;
+
+    // Find next valid player
+    let nextPlayerId = room.gameState.turnOrder[nextTurnIndex];
+    
+    // Check if player exists and is blocked
+    while (room.players[nextPlayerId]?.isBlocked) {
+      room.players[nextPlayerId].isBlocked = false;
+      console.log(`${nextPlayerId}'s turn was skipped due to being blocked.`);
+      this.emitRoomEvent(roomId, "turnSkipped", {
+        playerId: nextPlayerId,
+        username: room.players[nextPlayerId].username,
+        reason: "blocked",
+      });
+      nextTurnIndex = (nextTurnIndex + 1) % room.gameState.turnOrder.length;
+      nextPlayerId = room.gameState.turnOrder[nextTurnIndex];
+    }
+
+    room.gameState.currentTurn = nextPlayerId;
+    room.gameState.turn++;
+    this.announceTurn(roomId);
+  }
+
+  /**
+   * Announces whose turn it is.
+   * @param {string} roomId - The room ID.
+   */
+  announceTurn(roomId) {
+    const room = this.rooms[roomId];
+    const { currentTurn, turn, currentRound } = room.gameState;
+    if (!currentTurn) return;
+
+    this.emitRoomEvent(roomId, "turnStarted", {
+      playerId: currentTurn,
+      username: room.players[currentTurn]?.username,
+      turn,
+      round: currentRound,
+      turnTime: room.settings.turnTime,
+    });
+  }
+
+  /**
+   * Gets the current game state for a room.
+   * @param {string} roomId - The room ID.
+   * @returns {Object} The game state.
+   */
+  getGameState(roomId) {
+    const room = this.rooms[roomId];
+    if (!room) {
+      throw new GameError(ErrorCodes.ROOM_NOT_FOUND, `Room with ID ${roomId} does not exist.`);
+    }
+    return {
+      gameState: room.gameState,
+      players: room.players,
+    };
+  }
+
+  /**
+   * Builds the game state as seen by a single player. The viewer gets their
+   * own hand in full, opponents are reduced to a card count and the draw
+   * and discard piles are reduced to their sizes. Spectators hold no hand,
+   * so they see every hand hidden.
+   * @param {string} roomId - The room ID.
+   * @param {string} viewerId - The ID of the receiving player or spectator (socket ID).
+   * @returns {Object} The filtered game state.
+   */
+  getPlayerView(roomId, viewerId) {
+    const room = this.rooms[roomId];
+    if (!room) {
+      throw new GameError(ErrorCodes.ROOM_NOT_FOUND, `Room with ID ${roomId} does not exist.`);
+    }
+
+    const { cardDeck, discardPile, ...gameState } = room.gameState;
+    gameState.deckCount = cardDeck.length;
+    gameState.discardCount = discardPile.length;
+
+    const players = {};
+    Object.entries(room.players).forEach(([playerId, player]) => {
+      const { hand, ...publicInfo } = player;
+      players[playerId] = playerId === viewerId
+        ? { ...publicInfo, hand: [...hand], handCount: hand.length }
+        : { ...publicInfo, handCount: hand.length };
+    });
+
+    return {
+      gameState,
+      players,
+      settings: room.settings,
+      spectators: this.getSpectators(roomId),
+      isSpectator: room.spectators.has(viewerId),
+      pause: room.pause ? { ...room.pause } : null,
+      pauseVotes: [...room.pauseVotes],
+      series: this.getSeriesStandings(roomId),
+      rematchVotes: [...room.rematchVotes],
+      // Lets clients correct deadlines for their own clock skew
+      serverTime: this.scheduler.now(),
+    };
+  }
+
+  /**
+   * Describes a room for outsiders, with every hand hidden.
+   * @param {string} roomId - The room ID.
+   * @returns {Object} The room metadata.
+   */
+  getRoomMetadata(roomId) {
+    const room = this.rooms[roomId];
+    if (!room) {
+      throw new GameError(ErrorCodes.ROOM_NOT_FOUND, `Room with ID ${roomId} does not exist.`);
+    }
+
+    const { gameState, players, settings } = this.getPlayerView(roomId, null);
+    return {
+      roomId,
+      isPublic: room.isPublic,
+      hasPassword: this.roomPasswords.has(roomId),
+      hasStarted: room.hasStarted,
+      hostId: room.hostId,
+      playerCount: Object.keys(room.players).length,
+      spectatorCount: room.spectators.size,
+      deck: this.describeDeck(room.settings),
+      settings,
+      players,
+      gameState,
+    };
+  }
+
+  /**
+   * Sends every socket in a room its own view of the game state.
+   * @param {string} roomId - The room ID.
+   * @param {Object} io - The socket.io instance.
+   * @param {Object} [extra] - Additional fields merged into every payload.
+   */
+  emitGameState(roomId, io, extra = {}) {
+    if (!this.rooms[roomId]) return;
+
+    const socketIds = io.sockets.adapter.rooms.get(roomId) || new Set();
+    socketIds.forEach(socketId => {
+      io.to(socketId).emit("gameState", {
+        ...this.getPlayerView(roomId, socketId),
+        ...extra,
+      });
+    });
+  }
+
+  startRound(roomId) {
+    const room = this.rooms[roomId];
+    if (!room) return;
+
+    // Reset positions for new round
+    Object.values(room.players).forEach(player => {
+      player.position = room.gameState.board[0];
+      player.checkpoint = null;
+      player.moves = 0;
+    });
+
+    this.startRoundClock(roomId);
+
+    this.emitRoomEvent(roomId, "roundStarted", {
+      round: room.gameState.currentRound,
+      totalRounds: room.settings.roundsPerGame,
+      roundTime: room.settings.roundTime,
+      roundEndsAt: room.gameState.roundDeadline,
+    });
+    this.announceTurn(roomId);
+  }
+
+  /**
+   * Starts the round clock, ending the round when it runs out. The socket
+   * layer hears `roundTimedOut` and sends everyone the new state.
+   * @param {string} roomId - The room ID.
+   * @param {number} [deadline] - When the round ends; defaults to a full round from now.
+   */
+  startRoundClock(roomId, deadline = null) {
+    const room = this.rooms[roomId];
+    if (!room) return;
+
+    // Replays are driven by the logged roundTimeout instead of a clock
+    if (room.isReplay || room.pause) return;
+
+    room.gameState.roundDeadline = deadline ?? this.scheduler.now() + room.settings.roundTime * 1000;
+    this.scheduler.schedule(this.jobKey(roomId, "round"), room.gameState.roundDeadline, () => {
+      this.recordAction(roomId, "roundTimeout");
+      this.endRound(roomId, "timeout");
+      this.emit("roundTimedOut", { roomId });
+    });
+  }
+
+  /**
+   * Stops the round clock.
+   * @param {string} roomId - The room ID.
+   */
+  stopRoundClock(roomId) {
+    this.scheduler.cancel(this.jobKey(roomId, "round"));
+    this.rooms[roomId].gameState.roundDeadline = null;
+  }
+
+  /**
+   * Freezes a running game: the turn and round clocks stop at their remaining
+   * time and no cards can be played until it resumes. Host and vote pauses
+   * resume by themselves after `MAX_PAUSE_TIME`; a pause because everyone
+   * dropped lasts until someone rejoins.
+   * @param {string} roomId - The room ID.
+   * @param {Object} io - The socket.io instance.
+   * @param {string} reason - "host", "vote" or "disconnected".
+   * @param {string} [by] - The player who paused, if any.
+   */
+  pauseGame(roomId, io, reason, by = null) {
+    const room = this.rooms[roomId];
+    if (!room) throw new GameError(ErrorCodes.ROOM_NOT_FOUND, `Room with ID ${roomId} does not exist.`);
+    if (!room.gameState.gameStarted) throw new GameError(ErrorCodes.GAME_NOT_STARTED, "Game has not started yet.");
+    if (room.gameState.winner) throw new GameError(ErrorCodes.GAME_OVER, "Game has already ended.");
+    if (room.pause) throw new GameError(ErrorCodes.GAME_PAUSED, "The game is already paused.");
+
+    this.recordAction(roomId, "pause", { reason, by });
+    const now = this.scheduler.now();
+    room.pause = {
+      reason,
+      by,
+      pausedAt: now,
+      resumesAt: reason === "disconnected" ? null : now + this.MAX_PAUSE_TIME * 1000,
+      turnRemaining: this.scheduler.remaining(this.jobKey(roomId, "turn")),
+      reactionRemaining: this.scheduler.remaining(this.jobKey(roomId, "reaction")),
+      roundRemaining: this.scheduler.remaining(this.jobKey(roomId, "round")),
+    };
+    room.pauseVotes.clear();
+
+    this.scheduler.cancel(this.jobKey(roomId, "turn"));
+    this.scheduler.cancel(this.jobKey(roomId, "reaction"));
+    this.scheduler.cancel(this.jobKey(roomId, "ai"));
+    this.stopRoundClock(roomId);
+    room.gameState.turnDeadline = null;
+    if (room.gameState.pendingReaction) room.gameState.pendingReaction.deadline = null;
+
+    if (room.pause.resumesAt) {
+      this.scheduler.schedule(this.jobKey(roomId, "pause"), room.pause.resumesAt, () => {
+        this.resumeGame(roomId, io, "timeout");
+        this.emitGameState(roomId, io);
+      });
+    }
+
+    this.emitRoomEvent(roomId, "gamePaused", {
+      reason,
+      by,
+      username: room.players[by]?.username || null,
+      resumesAt: room.pause.resumesAt,
+    });
+    console.log(`Room ${roomId} paused (${reason}).`);
+  }
+
+  /**
+   * Restarts a paused game's clocks from where they stopped.
+   * @param {string} roomId - The room ID.
+   * @param {Object} io - The socket.io instance.
+   * @param {string} reason - "host", "rejoin" or "timeout".
    */
-  swapPlaces(roomId, playerId, targetPlayerId) {
+  resumeGame(roomId, io, reason) {
     const room = this.rooms[roomId];
-    const player = room.players[playerId];
-    const targetPlayer = room.players[targetPlayerId];
+    if (!room) throw new GameError(ErrorCodes.ROOM_NOT_FOUND, `Room with ID ${roomId} does not exist.`);
+    if (!room.pause) throw new GameError(ErrorCodes.GAME_NOT_PAUSED, "The game is not paused.");
 
-    if (!targetPlayer) {
-      throw new Error("Target player not found");
-    }
+    this.recordAction(roomId, "resume", { reason });
+    const { turnRemaining, reactionRemaining, roundRemaining } = room.pause;
+    room.pause = null;
+    room.pauseVotes.clear();
+    this.scheduler.cancel(this.jobKey(roomId, "pause"));
 
-    const tempPosition = player.position;
-    player.position = targetPlayer.position;
-    targetPlayer.position = tempPosition;
+    this.startRoundClock(roomId, roundRemaining != null ? this.scheduler.now() + roundRemaining : null);
+    this.resetAndStartTimer(roomId, io, room.gameState.pendingReaction ? reactionRemaining : turnRemaining);
 
-    console.log(`${player.username} swapped places with ${targetPlayer.username}.`);
+    this.emitRoomEvent(roomId, "gameResumed", { reason });
+    console.log(`Room ${roomId} resumed (${reason}).`);
   }
 
   /**
-   * Shuffles the game board.
+   * Counts a player's vote to pause. A majority of the connected humans
+   * pauses the game.
    * @param {string} roomId - The room ID.
+   * @param {Object} io - The socket.io instance.
+   * @param {string} playerId - The voting player.
+   * @returns {Object} The vote tally as { votes, needed, paused }.
    */
-  shuffleBoard(roomId) {
+  votePause(roomId, io, playerId) {
     const room = this.rooms[roomId];
-    if (!room || !room.gameState.board) {
-      throw new Error(`Board not found for room ${roomId}.`);
+    if (!room) throw new GameError(ErrorCodes.ROOM_NOT_FOUND, `Room with ID ${roomId} does not exist.`);
+    if (!room.players[playerId] || room.players[playerId].isBot) {
+      throw new GameError(ErrorCodes.NOT_A_PLAYER, "Only players can vote to pause");
     }
+    if (!room.gameState.gameStarted) throw new GameError(ErrorCodes.GAME_NOT_STARTED, "Game has not started yet.");
+    if (room.gameState.winner) throw new GameError(ErrorCodes.GAME_OVER, "Game has already ended.");
+    if (room.pause) throw new GameError(ErrorCodes.GAME_PAUSED, "The game is already paused.");
 
-    // Store current player positions and their corresponding board values
-    const playerPositions = {};
-    Object.entries(room.players).forEach(([playerId, player]) => {
-      playerPositions[playerId] = player.position;
-    });
+    room.pauseVotes.add(playerId);
 
-    // Shuffle the board
-    room.gameState.board = this.shuffleDeck([...room.gameState.board]);
+    const voters = Object.entries(room.players)
+      .filter(([, player]) => !player.isBot && player.connected)
+      .map(([id]) => id);
+    const votes = voters.filter(id => room.pauseVotes.has(id)).length;
+    const needed = Math.floor(voters.length / 2) + 1;
 
-    // Update player positions based on new board positions
-    Object.entries(playerPositions).forEach(([playerId, squareNumber]) => {
-      // Find the new index of the player's square number
-      const newIndex = room.gameState.board.indexOf(squareNumber);
-      if (newIndex === -1) {
-        console.error(`Square number ${squareNumber} not found after shuffle`);
-        room.players[playerId].position = room.gameState.board[0];
-      } else {
-        room.players[playerId].position = squareNumber;
-      }
-    });
+    this.emitRoomEvent(roomId, "pauseVote", { playerId, votes, needed });
+    if (votes >= needed) {
+      this.pauseGame(roomId, io, "vote", playerId);
+    }
 
-    console.log("Board shuffled, player positions updated");
+    return { votes, needed, paused: votes >= needed };
   }
 
   /**
-   * Draws cards for every player in the room.
+   * Whether any human player in a room is still connected.
    * @param {string} roomId - The room ID.
+   * @returns {boolean} True if at least one human is connected.
    */
-  drawForEveryone(roomId) {
+  hasConnectedHumans(roomId) {
     const room = this.rooms[roomId];
-    Object.keys(room.players).forEach(playerId => {
-      const newCards = this.drawCards(roomId, 1);
-      room.players[playerId].hand.push(...newCards);
-    });
-    console.log("Each player drew 1 card.");
+    return !!room && Object.values(room.players).some(player => !player.isBot && player.connected);
   }
 
   /**
-   * Gives a bonus round to a player.
-   * @param {Object} player - The player object.
+   * Whether nobody can come back to a room: no human is connected and no
+   * dropped player's seat is still being held for them.
+   * @param {string} roomId - The room ID.
+   * @returns {boolean} True if the room can be deleted.
    */
-  giveBonusRound(player) {
-    player.score += 10;
-    console.log(`${player.username} received a bonus round with 10 points.`);
+  isAbandoned(roomId) {
+    const room = this.rooms[roomId];
+    return !!room && !this.hasConnectedHumans(roomId) && room.seatHolds.size === 0;
   }
 
   /**
-   * Draws a specified number of cards for a room.
+   * Lists a room's players from furthest along to furthest behind.
    * @param {string} roomId - The room ID.
-   * @param {number} count - The number of cards to draw.
-   * @returns {Array} The drawn cards.
+   * @returns {Array} Standings as { playerId, username, position, score, roundWins }.
    */
-  drawCards(roomId, count) {
+  getStandings(roomId) {
     const room = this.rooms[roomId];
-    const cards = [];
-
-    for (let i = 0; i < count; i++) {
-      if (room.gameState.cardDeck.length === 0) {
-        room.gameState.cardDeck = this.shuffleDeck([...this.cards]);
-        console.log("Deck reset and shuffled:", room.gameState.cardDeck);
-      }
-      cards.push(room.gameState.cardDeck.pop());
-    }
-
-    return cards;
+    return Object.entries(room.players)
+      .map(([playerId, { username, position, score, roundWins }]) => ({
+        playerId, username, position, score, roundWins,
+      }))
+      .sort((a, b) => b.position - a.position || b.score - a.score);
   }
 
   /**
-   * Shuffles a deck of cards.
-   * @param {Array} deck - The deck to shuffle.
-   * @returns {Array} The shuffled deck.
+   * Ranks a room's players for the end of a game: by score, then round wins,
+   * then turn order.
+   * @param {string} roomId - The room ID.
+   * @returns {Object} The ranking and why first place beat second, if tied on score.
    */
-  shuffleDeck(deck) {
-    for (let i = deck.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
-      [deck[i], deck[j]] = [deck[j], deck[i]];
+  rankPlayers(roomId) {
+    const room = this.rooms[roomId];
+    const { turnOrder } = room.gameState;
+    const ranking = this.getStandings(roomId).sort((a, b) =>
+      b.score - a.score ||
+      b.roundWins - a.roundWins ||
+      turnOrder.indexOf(a.playerId) - turnOrder.indexOf(b.playerId)
+    );
+
+    let tieBreakReason = null;
+    const [first, second] = ranking;
+    if (first && second && first.score === second.score) {
+      tieBreakReason = first.roundWins !== second.roundWins ? "roundWins" : "turnOrder";
     }
-    return deck;
+
+    return { ranking, tieBreakReason };
   }
 
   /**
-   * Handles a "Mind Play" card effect.
+   * Ends the current round, then starts the next one or ends the game.
    * @param {string} roomId - The room ID.
-   * @param {string} playerId - The player ID.
-   * @param {string} targetPlayerId - The targeted player ID.
-   * @param {Object} card - The Mind Play card.
+   * @param {string} [reason] - What ended the round: "finish" or "timeout".
    */
-  handleMindPlayCard(roomId, playerId, targetPlayerId, card) {
+  endRound(roomId, reason = "finish") {
     const room = this.rooms[roomId];
-    if (!room || !room.players[playerId]) throw new Error("Invalid room or player");
-    if (!targetPlayerId || !room.players[targetPlayerId]) throw new Error("Invalid target player");
-    if (targetPlayerId === playerId) throw new Error("Cannot target yourself");
-    if (!card || !card.effect) throw new Error("Invalid card data");
+    if (!room) return;
 
-    const targetPlayer = room.players[targetPlayerId];
+    // A round can only end once, and never after the game is over
+    if (!room.gameState.gameStarted || room.gameState.winner) return;
 
-    switch (card.effect) {
-      case "Discard Opponent Card":
-        if (targetPlayer.hand.length > 0) {
-          const discardedCard = targetPlayer.hand.pop();
-          console.log(`${targetPlayer.username} discarded a card:`, discardedCard);
-        } else {
-          console.log(`${targetPlayer.username} has no cards to discard.`);
-        }
-        break;
+    this.stopRoundClock(roomId);
+    this.dropReaction(roomId);
 
-      case "Skip Opponent Turn":
-        targetPlayer.isBlocked = true;
-        console.log(`${targetPlayer.username}'s next turn will be skipped.`);
-        break;
+    // Find round winner: the furthest player, or in team games the team
+    // furthest along together and its furthest player
+    const teamStandings = this.teamsEnabled(room) ? this.getTeamStandings(roomId) : null;
+    const winningTeam = teamStandings?.[0]?.team ?? null;
+    const contenders = teamStandings
+      ? Object.entries(room.players).filter(([, player]) => player.team === winningTeam)
+      : Object.entries(room.players);
+    const winner = contenders
+      .reduce((prev, [id, player]) => {
+        return (!prev || player.position > room.players[prev].position) ? id : prev;
+      }, null);
 
-      case "Steal 5 Points":
-        if (targetPlayer.score <= 0) throw new Error("Target player has no points to steal");
-        const stolenPoints = Math.min(targetPlayer.score, card.value);
-        targetPlayer.score -= stolenPoints;
-        room.players[playerId].score += stolenPoints;
-        console.log(`${playerId} stole ${stolenPoints} points from ${targetPlayer.username}.`);
-        break;
+    if (winningTeam !== null) {
+      contenders.forEach(([, player]) => {
+        player.roundWins++;
+        player.score += room.settings.winningPoints;
+      });
+      const teamRoundWins = room.gameState.teamRoundWins ||= {};
+      teamRoundWins[winningTeam] = (teamRoundWins[winningTeam] || 0) + 1;
+      room.gameState.roundWinners.push(winner);
+    } else if (winner) {
+      room.players[winner].roundWins++;
+      room.players[winner].score += room.settings.winningPoints;
+      room.gameState.roundWinners.push(winner);
+    }
 
-      case "Steal A Random Card From Opponent":
-        if (targetPlayer.hand.length === 0) throw new Error("Target player has no cards to steal");
-        const randomIndex = Math.floor(Math.random() * targetPlayer.hand.length);
-        const stolenCard = targetPlayer.hand.splice(randomIndex, 1)[0];
-        room.players[playerId].hand.push(stolenCard);
-        console.log(`${playerId} stole a random card from ${targetPlayer.username}.`);
-        break;
+    this.emitRoomEvent(roomId, "roundEnded", {
+      round: room.gameState.currentRound,
+      winner,
+      winnerName: winner ? room.players[winner].username : null,
+      reason,
+      standings: this.getStandings(roomId),
+      ...(teamStandings && {
+        team: winningTeam,
+        teamName: this.teamName(winningTeam),
+        teamStandings: this.getTeamStandings(roomId),
+      }),
+    });
 
-      default:
-        
-        console.log("Loaded card effects:", this.cards.map(card => console.log(card)));
-        console.log(`Unknown Mind Play card effect: ${card.effect}`);
+    // Check if game is complete
+    if (room.gameState.currentRound >= room.settings.roundsPerGame) {
+      this.endGame(roomId);
+    } else {
+      room.gameState.currentRound++;
+      this.startRound(roomId);
     }
   }
 
-  /**
-   * Resets and starts the turn timer for a room.
-   * @param {string} roomId - The room ID.
-   * @param {Object} io - The socket.io instance.
-   */
-  resetAndStartTimer(roomId, io) {
+  endGame(roomId) {
     const room = this.rooms[roomId];
     if (!room) return;
 
-    // Clear any existing timer
-    if (room.timerInterval) {
-      clearInterval(room.timerInterval);
-      room.timerInterval = null;
-    }
-
-    // Reset timer value
-    room.gameState.timer = 30;
+    // Find overall winner; in team games the best team wins and its top
+    // player stands in as the winner
+    const { ranking, tieBreakReason } = this.rankPlayers(roomId);
+    const teamRanking = this.teamsEnabled(room) ? this.rankTeams(roomId) : null;
+    const winningTeam = teamRanking?.[0]?.team ?? null;
+    const gameWinner = (winningTeam !== null
+      ? ranking.find(entry => room.players[entry.playerId].team === winningTeam)
+      : ranking[0])?.playerId || null;
 
-    // Start new timer
-    room.timerInterval = setInterval(() => {
-      room.gameState.timer--;
-      
-      // Emit timer update to all players in the room
-      io.to(roomId).emit("gameState", {
-        ...this.getGameState(roomId),
-        timer: room.gameState.timer
-      });
+    room.gameState.winner = gameWinner;
+    room.pause = null;
+    this.scheduler.cancel(this.jobKey(roomId, "pause"));
+    this.stopRoundClock(roomId);
+    this.scheduler.cancel(this.jobKey(roomId, "turn"));
+    this.scheduler.cancel(this.jobKey(roomId, "ai"));
+    room.gameState.turnDeadline = null;
+
+    room.series.gamesPlayed++;
+    const seriesWinners = winningTeam !== null ? teamRanking[0].members : [gameWinner].filter(Boolean);
+    seriesWinners.forEach(playerId => {
+      const entry = room.series.wins[playerId] || { username: room.players[playerId].username, wins: 0 };
+      entry.wins++;
+      room.series.wins[playerId] = entry;
+    });
 
-      if (room.gameState.timer <= 0) {
-        clearInterval(room.timerInterval);
-        room.timerInterval = null;
-        this.endTurn(roomId);
-        io.to(roomId).emit("timerExpired");
-        io.to(roomId).emit("gameState", this.getGameState(roomId));
-        this.resetAndStartTimer(roomId, io); // Start timer for next turn
-      }
-    }, 1000);
+    this.emitRoomEvent(roomId, "gameEnded", {
+      winner: gameWinner,
+      winnerName: gameWinner ? room.players[gameWinner].username : null,
+      ranking,
+      tieBreakReason,
+      ...(teamRanking && {
+        winningTeam,
+        winningTeamName: this.teamName(winningTeam),
+        teamRanking,
+      }),
+      series: this.getSeriesStandings(roomId),
+    });
+    this.emit("matchCompleted", this.buildMatchRecord(roomId, ranking, teamRanking));
   }
 
   /**
-   * Starts the turn timer for a room.
+   * Describes a finished game for match history and ratings.
    * @param {string} roomId - The room ID.
-   * @param {Object} io - The socket.io instance.
+   * @param {Array} ranking - The final player ranking from `rankPlayers`.
+   * @param {Array|null} teamRanking - The final team ranking, in team games.
+   * @returns {Object} The match as { matchId, roomId, endedAt, settings,
+   *   winner, winningTeam, participants }, each participant with their
+   *   placement, score, round wins and cards played.
    */
-  startTimer(roomId, io) {
-    this.resetAndStartTimer(roomId, io);
+  buildMatchRecord(roomId, ranking, teamRanking) {
+    const room = this.rooms[roomId];
+    const { boardSize, roundsPerGame, board, pack, teamCount } = room.settings;
+
+    // Teammates share their team's placement
+    const placementOf = (playerId, index) => (teamRanking
+      ? teamRanking.find(({ team }) => team === room.players[playerId].team).rank
+      : index + 1);
+
+    return {
+      matchId: crypto.randomBytes(8).toString('hex'),
+      roomId,
+      endedAt: this.scheduler.now(),
+      settings: { boardSize, roundsPerGame, board, pack, teamCount },
+      winner: room.gameState.winner,
+      winningTeam: teamRanking ? teamRanking[0].team : null,
+      participants: ranking.map(({ playerId, username, score, roundWins }, index) => {
+        const player = room.players[playerId];
+        return {
+          playerId,
+          profileId: player.profileId || null,
+          username,
+          isBot: player.isBot,
+          team: teamRanking ? player.team : null,
+          placement: placementOf(playerId, index),
+          score,
+          roundWins,
+          cardsPlayed: player.cardsPlayed || 0,
+        };
+      }),
+    };
   }
 
   /**
-   * Ends the current turn and moves to the next.
+   * Links a seated player to their profile so the games they finish count
+   * towards its stats and rating.
    * @param {string} roomId - The room ID.
+   * @param {string} playerId - The player ID.
+   * @param {string} profileId - The profile ID.
    */
-  endTurn(roomId) {
+  linkProfile(roomId, playerId, profileId) {
     const room = this.rooms[roomId];
-    if (!room) return;
-
-    // Clear existing timer if any
-    if (room.timerInterval) {
-      clearInterval(room.timerInterval);
-      room.timerInterval = null;
-    }
+    if (!room) throw new GameError(ErrorCodes.ROOM_NOT_FOUND, `Room with ID ${roomId} does not exist.`);
+    if (!room.players[playerId]) throw new GameError(ErrorCodes.PLAYER_NOT_FOUND, `Player with ID ${playerId} not found in room ${roomId}.`);
+    const seat = this.findProfileSeat(roomId, profileId);
+    if (seat && seat !== playerId) throw new GameError(ErrorCodes.ALREADY_IN_ROOM, "This profile already has a seat in the room");
 
-    // Clean up turnOrder to only include existing players
-    room.gameState.turnOrder = room.gameState.turnOrder.filter(playerId => 
-      room.players[playerId] !== undefined
-    );
+    room.players[playerId].profileId = profileId;
+    this.recordAction(roomId, "linkProfile", { playerId, profileId });
+  }
 
-    // If no players left, return
-    if (room.gameState.turnOrder.length === 0) return;
+  /**
+   * Finds the seat a profile is linked to in a room.
+   * @param {string} roomId - The room ID.
+   * @param {string} profileId - The profile ID.
+   * @returns {string|null} The player ID, or null if the profile has no seat.
+   */
+  findProfileSeat(roomId, profileId) {
+    const players = this.rooms[roomId]?.players || {};
+    return Object.keys(players).find(playerId => players[playerId].profileId === profileId) || null;
+  }
 
-    const currentTurnIndex = room.gameState.turnOrder.indexOf(room.gameState.currentTurn);
-    let nextTurnIndex = (currentTurnIndex + 1) % room.gameState.turnOrder.length;
+  /**
+   * Lists games won across a room's rematches, including by players who
+   * have since left.
+   * @param {string} roomId - The room ID.
+   * @returns {Object} { gamesPlayed, standings: [{ playerId, username, wins, seated }] }.
+   */
+  getSeriesStandings(roomId) {
+    const room = this.rooms[roomId];
+    const { gamesPlayed, wins } = room.series;
 
-    // Find next valid player
-    let nextPlayerId = room.gameState.turnOrder[nextTurnIndex];
-    
-    // Check if player exists and is blocked
-    while (room.players[nextPlayerId]?.isBlocked) {
-      room.players[nextPlayerId].isBlocked = false;
-      console.log(`${nextPlayerId}'s turn was skipped due to being blocked.`);
-      nextTurnIndex = (nextTurnIndex + 1) % room.gameState.turnOrder.length;
-      nextPlayerId = room.gameState.turnOrder[nextTurnIndex];
-    }
+    const standings = Object.keys(room.players)
+      .filter(playerId => !wins[playerId])
+      .map(playerId => ({ playerId, username: room.players[playerId].username, wins: 0 }))
+      .concat(Object.entries(wins).map(([playerId, entry]) => ({ playerId, ...entry })))
+      .map(entry => ({ ...entry, seated: !!room.players[entry.playerId] }))
+      .sort((a, b) => b.wins - a.wins);
 
-    room.gameState.currentTurn = nextPlayerId;
-    room.gameState.turn++;
+    return { gamesPlayed, standings };
   }
 
   /**
-   * Gets the current game state for a room.
+   * Asks for another game in the same room once the current one is over.
+   * The host asking, or every connected human, starts the rematch.
    * @param {string} roomId - The room ID.
-   * @returns {Object} The game state.
+   * @param {string} playerId - The player asking.
+   * @returns {Object} The tally as { votes, needed, started }.
    */
-  getGameState(roomId) {
+  requestRematch(roomId, playerId) {
     const room = this.rooms[roomId];
-    if (!room) {
-      throw new Error(`Room with ID ${roomId} does not exist.`);
+    if (!room) throw new GameError(ErrorCodes.ROOM_NOT_FOUND, `Room with ID ${roomId} does not exist.`);
+    if (!room.players[playerId] || room.players[playerId].isBot) {
+      throw new GameError(ErrorCodes.NOT_A_PLAYER, "Only players can ask for a rematch");
     }
-    return {
-      gameState: room.gameState,
-      players: room.players,
-    };
+    if (!room.gameState.winner) throw new GameError(ErrorCodes.GAME_NOT_OVER, "The game is not over yet");
+
+    room.rematchVotes.add(playerId);
+    this.recordAction(roomId, "requestRematch", { playerId });
+
+    const voters = Object.entries(room.players)
+      .filter(([, player]) => !player.isBot && player.connected)
+      .map(([id]) => id);
+    const votes = voters.filter(id => room.rematchVotes.has(id)).length;
+    const started = playerId === room.hostId || votes >= voters.length;
+
+    this.emitRoomEvent(roomId, "rematchRequested", {
+      playerId,
+      username: room.players[playerId].username,
+      votes,
+      needed: voters.length,
+    });
+    if (started) {
+      this.resetForRematch(roomId);
+    }
+
+    return { votes, needed: voters.length, started };
   }
 
-  startRound(roomId) {
+  /**
+   * Puts a finished room back in the lobby with a fresh game. Seated players
+   * and the host stay; seats of players who left are freed for newcomers.
+   * @param {string} roomId - The room ID.
+   */
+  resetForRematch(roomId) {
     const room = this.rooms[roomId];
-    if (!room) return;
 
-    // Reset positions for new round
-    Object.values(room.players).forEach(player => {
-      player.position = room.gameState.board[0];
-      player.moves = 0;
+    // Seats a bot took over from a departed player go back to the lobby
+    room.disconnectedPlayers.forEach(playerId => this.removeFromLobby(roomId, playerId));
+    room.disconnectedPlayers.clear();
+
+    const { turnOrder } = room.gameState;
+    room.gameState = this.setup(room.settings, room.rng);
+    room.gameState.turnOrder = turnOrder.filter(playerId => room.players[playerId]);
+    room.gameState.currentTurn = room.gameState.turnOrder[0] || null;
+
+    Object.entries(room.players).forEach(([playerId, player]) => {
+      Object.assign(player, {
+        position: room.gameState.board[0],
+        checkpoint: null,
+        moves: 0,
+        score: 0,
+        hand: this.drawCards(roomId, room.settings.startingHandSize),
+        roundWins: 0,
+        cardsPlayed: 0,
+        isBlocked: false,
+        isReady: player.isBot || playerId === room.hostId,
+      });
     });
 
-    // Start round timer
-    clearInterval(room.roundInterval);
-    room.gameState.roundTimer = this.ROUND_TIME;
+    room.hasStarted = false;
+    room.rematchVotes.clear();
+    room.pauseVotes.clear();
 
-    room.roundInterval = setInterval(() => {
-      room.gameState.roundTimer--;
-      
-      if (room.gameState.roundTimer <= 0) {
-        this.endRound(roomId);
-      }
-    }, 1000);
+    this.emitRoomEvent(roomId, "rematchStarted", { series: this.getSeriesStandings(roomId) });
+    this.emit("lobbyChanged");
+    console.log(`Room ${roomId} is back in the lobby for a rematch.`);
   }
 
-  endRound(roomId) {
+  /**
+   * Changes a room's settings while it is still in the lobby.
+   * @param {string} roomId - The room ID.
+   * @param {Object} changes - The settings to change.
+   * @returns {Object} The room's new settings.
+   */
+  updateSettings(roomId, changes) {
     const room = this.rooms[roomId];
-    if (!room) return;
+    if (!room) throw new GameError(ErrorCodes.ROOM_NOT_FOUND, `Room with ID ${roomId} does not exist.`);
+    if (room.hasStarted) throw new GameError(ErrorCodes.GAME_STARTED, "Settings cannot be changed after the game has started");
 
-    clearInterval(room.roundInterval);
+    const settings = this.validateSettings(changes, room.settings);
+    const playerCount = Object.keys(room.players).length;
+    if (settings.maxPlayers < playerCount) {
+      throw new GameError(ErrorCodes.INVALID_SETTINGS, `maxPlayers cannot be lower than the ${playerCount} players already seated`);
+    }
 
-    // Find round winner
-    const winner = Object.entries(room.players)
-      .reduce((prev, [id, player]) => {
-        return (!prev || player.position > room.players[prev].position) ? id : prev;
-      }, null);
+    const deckChanged = JSON.stringify(this.getDeckList(room.settings)) !== JSON.stringify(this.getDeckList(settings));
+    const teamsChanged = room.settings.teamCount !== settings.teamCount;
+    room.settings = settings;
+    const { gameState } = room;
 
-    if (winner) {
-      room.players[winner].roundWins++;
-      room.players[winner].score += this.WINNING_POINTS;
-      room.gameState.roundWinners.push(winner);
+    if (teamsChanged) this.assignTeams(roomId);
+
+    // A different deck means dealing fresh hands from it
+    if (deckChanged) {
+      gameState.cardDeck = this.buildDeck(this.cards, this.getDeckList(settings));
+      gameState.discardPile = [];
+      Object.values(room.players).forEach(player => {
+        player.hand = [];
+      });
     }
 
-    // Check if game is complete
-    if (room.gameState.currentRound >= this.ROUNDS_PER_GAME) {
-      this.endGame(roomId);
-    } else {
-      room.gameState.currentRound++;
-      this.startRound(roomId);
+    if (gameState.board.length !== settings.boardSize) {
+      gameState.board = Array.from({ length: settings.boardSize }, (_, i) => i + 1);
+      Object.values(room.players).forEach(player => {
+        player.position = gameState.board[0];
+      });
     }
-  }
+    gameState.tiles = this.buildTiles(settings);
+    gameState.boardColumns = this.getBoard(settings.board)?.columns || this.BOARD_COLUMNS;
 
-  endGame(roomId) {
-    const room = this.rooms[roomId];
-    if (!room) return;
+    // Return surplus cards to the deck first so top-ups can draw them
+    Object.values(room.players).forEach(player => {
+      if (player.hand.length > settings.startingHandSize) {
+        gameState.cardDeck.push(...player.hand.splice(settings.startingHandSize));
+      }
+    });
+    this.shuffleDeck(gameState.cardDeck, room.rng);
+    Object.values(room.players).forEach(player => {
+      if (player.hand.length < settings.startingHandSize) {
+        player.hand.push(...this.drawCards(roomId, settings.startingHandSize - player.hand.length));
+      }
+    });
 
-    // Find overall winner
-    const gameWinner = Object.entries(room.players)
-      .reduce((prev, [id, player]) => {
-        return (!prev || player.score > room.players[prev].score) ? id : prev;
-      }, null);
+    // Everyone confirms again under the new rules
+    Object.entries(room.players).forEach(([playerId, player]) => {
+      player.isReady = player.isBot || playerId === room.hostId;
+    });
 
-    room.gameState.winner = gameWinner;
-    clearInterval(room.roundInterval);
-    clearInterval(room.timerInterval);
+    this.recordAction(roomId, "updateSettings", { changes });
+    console.log(`Room ${roomId} settings updated:`, settings);
+    return settings;
   }
 
   startGame(roomId) {
@@ -591,11 +2858,28 @@ class SurvivalPathGame {
     if (!room) return;
 
     if (Object.keys(room.players).length < this.MIN_PLAYERS) {
-      throw new Error("Not enough players to start");
+      throw new GameError(ErrorCodes.NOT_ENOUGH_PLAYERS, "Not enough players to start");
+    }
+
+    const waitingFor = Object.values(room.players)
+      .filter(player => !player.isReady)
+      .map(player => player.username);
+    if (waitingFor.length) {
+      throw new GameError(ErrorCodes.PLAYERS_NOT_READY, `Waiting for ${waitingFor.join(", ")} to be ready`);
+    }
+
+    if (this.teamsEnabled(room)) {
+      const sizes = this.getTeams(room).map(({ members }) => members.length);
+      if (sizes.some(size => size !== sizes[0]) || sizes[0] === 0) {
+        throw new GameError(ErrorCodes.TEAMS_UNBALANCED, `Teams must be the same size to start (currently ${sizes.join(" v ")})`);
+      }
+      room.gameState.turnOrder = this.alternateTeams(room);
+      room.gameState.currentTurn = room.gameState.turnOrder[0];
     }
 
     room.hasStarted = true;
     room.gameState.gameStarted = true;
+    this.recordAction(roomId, "startGame");
     this.startRound(roomId);
   }
 
@@ -606,55 +2890,152 @@ class SurvivalPathGame {
     if (room.hasStarted) {
       room.disconnectedPlayers.add(playerId);
       this.aiPlayers.set(playerId, {
-        strategy: "random",
+        strategy: this.DEFAULT_AI_STRATEGY,
         originalPlayer: room.players[playerId]
       });
-    } else {
-      delete room.players[playerId];
-      const turnOrderIndex = room.gameState.turnOrder.indexOf(playerId);
-      if (turnOrderIndex > -1) {
-        room.gameState.turnOrder.splice(turnOrderIndex, 1);
+      if (room.hostId === playerId) {
+        this.promoteHost(roomId);
       }
+    } else {
+      this.removeFromLobby(roomId, playerId);
+    }
+
+    this.recordAction(roomId, "disconnect", { playerId });
+  }
+
+  /**
+   * Ends a player's turn without a card being played.
+   * @param {string} roomId - The room ID.
+   * @param {string} playerId - The player passing.
+   */
+  passTurn(roomId, playerId) {
+    if (this.rooms[roomId]?.pause) throw new GameError(ErrorCodes.GAME_PAUSED, "The game is paused.");
+    if (this.rooms[roomId]?.gameState.pendingReaction) {
+      throw new GameError(ErrorCodes.REACTION_PENDING, "Waiting for the targeted player to respond.");
     }
+    this.recordAction(roomId, "passTurn", { playerId });
+    this.endTurn(roomId);
+  }
+
+  /**
+   * Lists every card play that would be accepted for a player right now.
+   * @param {string} roomId - The room ID.
+   * @param {string} playerId - The player ID.
+   * @returns {Array} Moves as { cardIndex, card, targetPlayerId, direction }.
+   */
+  getLegalMoves(roomId, playerId) {
+    const room = this.rooms[roomId];
+    const player = room?.players[playerId];
+    if (!player) return [];
+
+    const moves = [];
+
+    player.hand.forEach((card, cardIndex) => {
+      // Counters are only played in answer to another card
+      if (card.reaction) return;
+
+      const targets = this.cardNeedsTarget(card)
+        ? Object.keys(room.players).filter(id => !this.findTargetError(room, playerId, card, id))
+        : [null];
+      const directions = takesDirection(card) ? ['forward', 'backward'] : [undefined];
+
+      targets.forEach(targetPlayerId => {
+        directions.forEach(direction => {
+          moves.push({ cardIndex, card, targetPlayerId, direction });
+        });
+      });
+    });
+
+    return moves;
   }
 
+  /**
+   * Plays a turn for a bot-controlled player using its strategy.
+   * @param {string} roomId - The room ID.
+   * @param {string} playerId - The player ID.
+   * @returns {Object} Result of the card play.
+   */
   playAITurn(roomId, playerId) {
     const room = this.rooms[roomId];
     if (!room || !this.aiPlayers.has(playerId)) return;
 
     const player = room.players[playerId];
-    if (!player || !player.hand.length) return;
-
-    // Random card selection
-    const cardIndex = Math.floor(Math.random() * player.hand.length);
-    const card = player.hand[cardIndex];
+    if (!player) return;
 
-    // Random target selection if needed
-    let targetPlayerId = null;
-    if (card.type === "Mind Play" || (card.type === "Event" && card.effect === "Swap Places")) {
-      const possibleTargets = Object.keys(room.players).filter(id => id !== playerId);
-      if (possibleTargets.length) {
-        targetPlayerId = possibleTargets[Math.floor(Math.random() * possibleTargets.length)];
-      }
+    const moves = this.getLegalMoves(roomId, playerId);
+    if (!moves.length) {
+      this.passTurn(roomId, playerId);
+      return { message: `${player.username} had no card to play.` };
     }
 
-    // Random direction for move cards
-    const direction = card.type === "Move" ? (Math.random() > 0.5 ? "forward" : "backward") : undefined;
+    const { strategy } = this.aiPlayers.get(playerId);
+    const move = chooseMove(strategy, this, roomId, playerId, moves);
+
+    return this.playCard(roomId, playerId, move.cardIndex, move.targetPlayerId, move.direction);
+  }
+
+  /**
+   * Answers a card aimed at a bot-controlled player using its strategy.
+   * @param {string} roomId - The room ID.
+   * @param {string} playerId - The targeted player.
+   * @returns {Object} Result of the card play.
+   */
+  playAIReaction(roomId, playerId) {
+    const room = this.rooms[roomId];
+    const { card } = room.gameState.pendingReaction;
+
+    const counters = room.players[playerId].hand
+      .map((held, cardIndex) => ({ cardIndex, card: held }))
+      .filter(option => this.canCounter(option.card, card));
+
+    const { strategy } = this.aiPlayers.get(playerId);
+    const choice = chooseCounter(strategy, this, roomId, playerId, counters);
 
-    return this.playCard(roomId, playerId, cardIndex, targetPlayerId, direction);
+    return choice
+      ? this.playCounter(roomId, playerId, choice.cardIndex)
+      : this.declineCounter(roomId, playerId);
   }
 
   getPublicRooms() {
     return Array.from(this.publicRooms)
       .filter(roomId => {
         const room = this.rooms[roomId];
-        return room && !room.hasStarted && Object.keys(room.players).length < this.MAX_PLAYERS;
+        return room && !room.hasStarted && Object.keys(room.players).length < room.settings.maxPlayers;
       })
-      .map(roomId => ({
-        roomId,
-        playerCount: Object.keys(this.rooms[roomId].players).length,
-        maxPlayers: this.MAX_PLAYERS
-      }));
+      .map(roomId => {
+        const { pack, name, size } = this.describeDeck(this.rooms[roomId].settings);
+        return {
+          roomId,
+          playerCount: Object.keys(this.rooms[roomId].players).length,
+          maxPlayers: this.rooms[roomId].settings.maxPlayers,
+          deck: { pack, name, size },
+        };
+      });
+  }
+
+  /**
+   * Lists public rooms that can no longer be joined but can be watched:
+   * games in progress and full lobbies.
+   * @returns {Array} The watchable rooms.
+   */
+  getWatchableRooms() {
+    return Array.from(this.publicRooms)
+      .filter(roomId => {
+        const room = this.rooms[roomId];
+        return room && !room.gameState.winner &&
+          (room.hasStarted || Object.keys(room.players).length >= room.settings.maxPlayers);
+      })
+      .map(roomId => {
+        const room = this.rooms[roomId];
+        return {
+          roomId,
+          status: room.hasStarted ? "in progress — watchable" : "full — watchable",
+          playerCount: Object.keys(room.players).length,
+          maxPlayers: room.settings.maxPlayers,
+          spectatorCount: room.spectators.size,
+          currentRound: room.gameState.currentRound,
+        };
+      });
   }
 }
 
@@ -0,0 +1,100 @@
+/**
+ * Snapshots rooms to a store after every accepted action and brings them
+ * back on startup.
+ */
+class RoomPersistence {
+  /**
+   * @param {SurvivalPathGame} game - The game instance.
+   * @param {Object} storage - A store from `createStorage`.
+   */
+  constructor(game, storage) {
+    this.game = game;
+    this.storage = storage;
+    this.dirtyRooms = new Set();
+    this.flushScheduled = false;
+
+    this.onActionRecorded = ({ roomId }) => this.markDirty(roomId);
+    this.onRoomDeleted = (roomId) => {
+      this.dirtyRooms.delete(roomId);
+      this.storage.remove(roomId);
+    };
+  }
+
+  /**
+   * Starts listening for accepted actions and deleted rooms.
+   */
+  attach() {
+    this.game.on("actionRecorded", this.onActionRecorded);
+    this.game.on("roomDeleted", this.onRoomDeleted);
+  }
+
+  /**
+   * Stops listening, e.g. once the final snapshots are written on shutdown.
+   */
+  detach() {
+    this.game.off("actionRecorded", this.onActionRecorded);
+    this.game.off("roomDeleted", this.onRoomDeleted);
+  }
+
+  /**
+   * Queues a room for saving. Several actions recorded in one tick (a card
+   * play that ends a round, say) produce a single write.
+   * @param {string} roomId - The room ID.
+   */
+  markDirty(roomId) {
+    this.dirtyRooms.add(roomId);
+    if (this.flushScheduled) return;
+
+    this.flushScheduled = true;
+    setImmediate(() => this.flush());
+  }
+
+  /**
+   * Writes every queued room.
+   */
+  flush() {
+    this.flushScheduled = false;
+    this.dirtyRooms.forEach(roomId => this.saveRoom(roomId));
+    this.dirtyRooms.clear();
+  }
+
+  /**
+   * Writes one room's snapshot.
+   * @param {string} roomId - The room ID.
+   */
+  saveRoom(roomId) {
+    if (!this.game.rooms[roomId]) return;
+    try {
+      this.storage.save(roomId, this.game.serializeRoom(roomId));
+    } catch (error) {
+      console.error(`Failed to save room ${roomId}:`, error);
+    }
+  }
+
+  /**
+   * Writes every room, queued or not.
+   */
+  saveAll() {
+    this.dirtyRooms.clear();
+    Object.keys(this.game.rooms).forEach(roomId => this.saveRoom(roomId));
+  }
+
+  /**
+   * Loads every stored room into the game.
+   * @returns {Array<string>} The IDs of the restored rooms.
+   */
+  restoreAll() {
+    const restored = [];
+    this.storage.loadAll().forEach(snapshot => {
+      try {
+        this.game.restoreRoom(snapshot);
+        restored.push(snapshot.roomId);
+      } catch (error) {
+        console.error(`Failed to restore room ${snapshot.roomId}:`, error.message);
+      }
+    });
+    return restored;
+  }
+}
+
+module.exports = RoomPersistence;
@@ -0,0 +1,311 @@
+const crypto = require('crypto');
+const { hashPassword, verifyPassword, signToken, readToken } = require('./credentials');
+const { GameError, ErrorCodes } = require('./errors');
+
+const STARTING_RATING = 1200;
+const RATING_K = 32; // the most one game can move a rating against one opponent
+const MIN_PASSWORD_LENGTH = 8;
+const HISTORY_LIMITS = { default: 20, max: 100 };
+const LEADERBOARD_LIMITS = { default: 20, max: 100 };
+
+/**
+ * Player profiles, finished matches and Elo ratings. Profiles and matches
+ * live in two stores from `createStorage`, one entry each, and are read
+ * into memory on startup.
+ *
+ * A guest profile is just a name; an account adds a password so it can be
+ * signed into again. Either way the client keeps the signed profile token
+ * and passes it when joining a room.
+ */
+class ProfileService {
+  /**
+   * @param {SurvivalPathGame} game - The game instance.
+   * @param {Object} stores
+   * @param {Object} stores.profiles - Where profiles are kept.
+   * @param {Object} stores.matches - Where match records are kept.
+   * @param {Object} [options]
+   * @param {string} [options.secret] - Key profile tokens are signed with.
+   */
+  constructor(game, { profiles, matches }, { secret } = {}) {
+    this.game = game;
+    this.profileStore = profiles;
+    this.matchStore = matches;
+    // Without a configured secret, players are signed out when the server restarts
+    this.secret = secret || crypto.randomBytes(32).toString('hex');
+    this.profiles = new Map(); // profileId -> profile
+    this.accounts = new Map(); // lowercased username -> profileId
+    this.matches = []; // oldest first
+
+    this.onMatchCompleted = (match) => {
+      try {
+        this.recordMatch(match);
+      } catch (error) {
+        console.error(`Failed to record match in room ${match.roomId}:`, error);
+      }
+    };
+  }
+
+  /**
+   * Starts recording every finished game.
+   */
+  attach() {
+    this.game.on("matchCompleted", this.onMatchCompleted);
+  }
+
+  /**
+   * Stops recording finished games.
+   */
+  detach() {
+    this.game.off("matchCompleted", this.onMatchCompleted);
+  }
+
+  /**
+   * Reads every stored profile and match.
+   * @returns {Object} How many of each were loaded, as { profiles, matches }.
+   */
+  load() {
+    this.profileStore.loadAll().forEach(profile => {
+      this.profiles.set(profile.profileId, profile);
+      if (!profile.isGuest) this.accounts.set(profile.username.toLowerCase(), profile.profileId);
+    });
+    this.matches = this.matchStore.loadAll().sort((a, b) => a.endedAt - b.endedAt);
+    return { profiles: this.profiles.size, matches: this.matches.length };
+  }
+
+  /**
+   * Creates a profile and saves it.
+   * @param {string} username - The display name.
+   * @param {string|null} passwordHash - The account password hash, or null for a guest.
+   * @returns {Object} The new profile.
+   */
+  addProfile(username, passwordHash) {
+    const profile = {
+      profileId: crypto.randomBytes(12).toString('hex'),
+      username,
+      isGuest: !passwordHash,
+      passwordHash,
+      createdAt: Date.now(),
+      lastPlayedAt: null,
+      rating: STARTING_RATING,
+      stats: { gamesPlayed: 0, wins: 0, roundWins: 0, totalScore: 0, bestScore: 0, cardsPlayed: 0 },
+    };
+    this.profiles.set(profile.profileId, profile);
+    this.saveProfile(profile);
+    return profile;
+  }
+
+  /**
+   * Writes one profile to the store.
+   * @param {Object} profile - The profile.
+   */
+  saveProfile(profile) {
+    try {
+      this.profileStore.save(profile.profileId, profile);
+    } catch (error) {
+      console.error(`Failed to save profile ${profile.profileId}:`, error);
+    }
+  }
+
+  /**
+   * Creates a guest profile.
+   * @param {string} username - The display name; guests may share names.
+   * @returns {Object} { profile, profileToken }.
+   */
+  createGuest(username) {
+    const profile = this.addProfile(username, null);
+    return { profile: this.toPublic(profile), profileToken: this.issueToken(profile) };
+  }
+
+  /**
+   * Creates an account: a profile with a unique name and a password.
+   * @param {string} username - The account name.
+   * @param {string} password - The password.
+   * @returns {Object} { profile, profileToken }.
+   */
+  register(username, password) {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+      throw new GameError(ErrorCodes.INVALID_PAYLOAD, `Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+    const key = username.toLowerCase();
+    if (this.accounts.has(key)) {
+      throw new GameError(ErrorCodes.USERNAME_TAKEN, `The name ${username} is already registered`);
+    }
+
+    const profile = this.addProfile(username, hashPassword(password));
+    this.accounts.set(key, profile.profileId);
+    return { profile: this.toPublic(profile), profileToken: this.issueToken(profile) };
+  }
+
+  /**
+   * Signs into an account.
+   * @param {string} username - The account name.
+   * @param {string} password - The password.
+   * @returns {Object} { profile, profileToken }.
+   */
+  login(username, password) {
+    const profile = this.profiles.get(this.accounts.get(username.toLowerCase()));
+    if (!profile || !verifyPassword(password, profile.passwordHash)) {
+      throw new GameError(ErrorCodes.BAD_CREDENTIALS, "Wrong name or password");
+    }
+    return { profile: this.toPublic(profile), profileToken: this.issueToken(profile) };
+  }
+
+  /**
+   * Signs a token the client hands back to prove which profile it holds.
+   * @param {Object} profile - The profile.
+   * @returns {string} The token.
+   */
+  issueToken(profile) {
+    return signToken({ profileId: profile.profileId }, this.secret);
+  }
+
+  /**
+   * Reads a profile token.
+   * @param {string} token - A token from `issueToken`.
+   * @returns {Object} The profile it belongs to.
+   */
+  authenticate(token) {
+    const profile = this.profiles.get(readToken(token, this.secret)?.profileId);
+    if (!profile) throw new GameError(ErrorCodes.INVALID_PROFILE, "Profile token is invalid; sign in again");
+    return profile;
+  }
+
+  /**
+   * Strips what only the server should see from a profile.
+   * @param {Object} profile - The profile.
+   * @returns {Object} The profile without its password hash.
+   */
+  toPublic(profile) {
+    const { passwordHash, ...rest } = profile;
+    return rest;
+  }
+
+  /**
+   * Looks up a profile with its stats and rating.
+   * @param {string} profileId - The profile ID.
+   * @returns {Object} The public profile.
+   */
+  getProfile(profileId) {
+    const profile = this.profiles.get(profileId);
+    if (!profile) throw new GameError(ErrorCodes.PROFILE_NOT_FOUND, `Profile ${profileId} does not exist`);
+    return this.toPublic(profile);
+  }
+
+  /**
+   * Lists a profile's finished games, newest first.
+   * @param {string} profileId - The profile ID.
+   * @param {number} [limit] - How many to return.
+   * @returns {Array} Match records.
+   */
+  getMatchHistory(profileId, limit = HISTORY_LIMITS.default) {
+    this.getProfile(profileId);
+    const count = clampLimit(limit, HISTORY_LIMITS);
+    const history = [];
+    for (let i = this.matches.length - 1; i >= 0 && history.length < count; i--) {
+      if (this.matches[i].participants.some(entry => entry.profileId === profileId)) {
+        history.push(this.matches[i]);
+      }
+    }
+    return history;
+  }
+
+  /**
+   * Ranks profiles by rating.
+   * @param {Object} [options]
+   * @param {number} [options.limit] - How many to return.
+   * @param {number} [options.minGames] - Games a profile must have finished to be listed.
+   * @returns {Array} Entries as { rank, profileId, username, rating, gamesPlayed, wins }.
+   */
+  getLeaderboard({ limit = LEADERBOARD_LIMITS.default, minGames = 1 } = {}) {
+    return Array.from(this.profiles.values())
+      .filter(profile => profile.stats.gamesPlayed >= minGames)
+      .sort((a, b) => b.rating - a.rating || b.stats.wins - a.stats.wins || a.createdAt - b.createdAt)
+      .slice(0, clampLimit(limit, LEADERBOARD_LIMITS))
+      .map((profile, index) => ({
+        rank: index + 1,
+        profileId: profile.profileId,
+        username: profile.username,
+        rating: profile.rating,
+        gamesPlayed: profile.stats.gamesPlayed,
+        wins: profile.stats.wins,
+      }));
+  }
+
+  /**
+   * Works out rating changes for a finished game. Every pair of profiled
+   * players counts as one Elo game decided by placement, a tie when they
+   * share it, and each player's change is averaged over their opponents.
+   * @param {Array} rated - Participants with a known profile.
+   * @returns {Map} Profile ID to rating change.
+   */
+  ratingChanges(rated) {
+    const changes = new Map();
+    rated.forEach(entry => {
+      const rating = this.profiles.get(entry.profileId).rating;
+      const total = rated.reduce((sum, other) => {
+        if (other === entry) return sum;
+        const expected = 1 / (1 + 10 ** ((this.profiles.get(other.profileId).rating - rating) / 400));
+        const actual = entry.placement < other.placement ? 1 : entry.placement === other.placement ? 0.5 : 0;
+        return sum + actual - expected;
+      }, 0);
+      changes.set(entry.profileId, rated.length > 1 ? Math.round(RATING_K * total / (rated.length - 1)) : 0);
+    });
+    return changes;
+  }
+
+  /**
+   * Saves a finished game and updates the stats and ratings of every
+   * profiled player in it. Bots and players without a profile are kept in
+   * the record but not rated.
+   * @param {Object} match - A record from `buildMatchRecord`.
+   * @returns {Object} The saved record, with each player's rating before and after.
+   */
+  recordMatch(match) {
+    const rated = match.participants.filter(entry => entry.profileId && this.profiles.has(entry.profileId));
+    const changes = this.ratingChanges(rated);
+
+    const record = {
+      ...match,
+      participants: match.participants.map(entry => {
+        const profile = this.profiles.get(entry.profileId);
+        if (!changes.has(entry.profileId)) return { ...entry, profileId: profile ? entry.profileId : null };
+
+        const ratingBefore = profile.rating;
+        profile.rating += changes.get(entry.profileId);
+        profile.lastPlayedAt = match.endedAt;
+        const { stats } = profile;
+        stats.gamesPlayed++;
+        if (entry.placement === 1) stats.wins++;
+        stats.roundWins += entry.roundWins;
+        stats.totalScore += entry.score;
+        stats.bestScore = Math.max(stats.bestScore, entry.score);
+        stats.cardsPlayed += entry.cardsPlayed;
+        this.saveProfile(profile);
+
+        return { ...entry, ratingBefore, ratingAfter: profile.rating };
+      }),
+    };
+
+    this.matches.push(record);
+    try {
+      this.matchStore.save(record.matchId, record);
+    } catch (error) {
+      console.error(`Failed to save match ${record.matchId}:`, error);
+    }
+    return record;
+  }
+}
+
+/**
+ * Reads a requested page size, falling back to the default.
+ * @param {*} limit - The requested size.
+ * @param {Object} limits - { default, max }.
+ * @returns {number} A size between 1 and the maximum.
+ */
+function clampLimit(limit, limits) {
+  const value = Number(limit);
+  if (!Number.isInteger(value) || value < 1) return limits.default;
+  return Math.min(value, limits.max);
+}
+
+module.exports = ProfileService;
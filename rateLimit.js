@@ -0,0 +1,187 @@
+/**
+ * Token bucket sizes per socket event: `capacity` is the burst allowed and
+ * `refillPerSecond` the sustained rate. Events not listed use `default`.
+ */
+const EVENT_LIMITS = {
+  default: { capacity: 20, refillPerSecond: 5 },
+  createRoom: { capacity: 3, refillPerSecond: 1 / 20 },
+  joinRoom: { capacity: 5, refillPerSecond: 1 / 3 },
+  spectateRoom: { capacity: 5, refillPerSecond: 1 / 3 },
+  rejoinRoom: { capacity: 5, refillPerSecond: 1 / 3 },
+  quickJoin: { capacity: 5, refillPerSecond: 1 },
+  createProfile: { capacity: 3, refillPerSecond: 1 / 30 },
+  login: { capacity: 5, refillPerSecond: 1 / 10 },
+  getPublicRooms: { capacity: 5, refillPerSecond: 1 },
+  playCard: { capacity: 5, refillPerSecond: 2 },
+  playCounter: { capacity: 5, refillPerSecond: 2 },
+  votePause: { capacity: 3, refillPerSecond: 1 / 5 },
+};
+
+/**
+ * Per-event token buckets, kept for each socket and, with a larger
+ * allowance, for each IP address so reconnecting does not reset the limit.
+ */
+class RateLimiter {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.limits] - Bucket sizes per event, like `EVENT_LIMITS`.
+   * @param {number} [options.ipMultiplier] - How many sockets' worth one IP may use.
+   * @param {Function} [options.now] - Returns the current time in ms.
+   */
+  constructor({ limits = EVENT_LIMITS, ipMultiplier = 4, now = Date.now } = {}) {
+    this.limits = limits;
+    this.ipMultiplier = ipMultiplier;
+    this.now = now;
+    this.buckets = new Map(); // "socket|ip:id:event" -> { tokens, updatedAt }
+  }
+
+  /**
+   * Takes one token from a bucket, refilling it for the time passed.
+   * @param {string} key - The bucket key.
+   * @param {Object} limit - The bucket size.
+   * @returns {number} 0 if allowed, otherwise ms until a token is available.
+   */
+  take(key, { capacity, refillPerSecond }) {
+    const now = this.now();
+    const bucket = this.buckets.get(key) || { tokens: capacity, updatedAt: now };
+    bucket.tokens = Math.min(capacity, bucket.tokens + (now - bucket.updatedAt) / 1000 * refillPerSecond);
+    bucket.updatedAt = now;
+    this.buckets.set(key, bucket);
+
+    if (bucket.tokens < 1) {
+      return Math.ceil((1 - bucket.tokens) / refillPerSecond * 1000);
+    }
+    bucket.tokens--;
+    return 0;
+  }
+
+  /**
+   * Charges an event to a socket and its IP.
+   * @param {string} event - The event name.
+   * @param {string} socketId - The socket ID.
+   * @param {string} ip - The client's address.
+   * @returns {number} 0 if allowed, otherwise ms until it would be.
+   */
+  consume(event, socketId, ip) {
+    const limit = this.limits[event] || this.limits.default;
+    const ipLimit = {
+      capacity: limit.capacity * this.ipMultiplier,
+      refillPerSecond: limit.refillPerSecond * this.ipMultiplier,
+    };
+
+    return this.take(`socket:${socketId}:${event}`, limit) ||
+      this.take(`ip:${ip}:${event}`, ipLimit);
+  }
+
+  /**
+   * Drops a disconnected socket's buckets, along with any idle ones.
+   * @param {string} socketId - The socket ID.
+   */
+  forgetSocket(socketId) {
+    this.buckets.forEach((bucket, key) => {
+      if (key.startsWith(`socket:${socketId}:`)) this.buckets.delete(key);
+    });
+    this.pruneIdle();
+  }
+
+  /**
+   * Drops every bucket that has refilled completely and so carries no
+   * state. Clients with no socket to forget, like HTTP callers, are only
+   * ever cleaned up here.
+   */
+  pruneIdle() {
+    const now = this.now();
+    this.buckets.forEach((bucket, key) => {
+      const event = key.slice(key.lastIndexOf(":") + 1);
+      const limit = this.limits[event] || this.limits.default;
+      const scale = key.startsWith("ip:") ? this.ipMultiplier : 1;
+      const refilled = bucket.tokens + (now - bucket.updatedAt) / 1000 * limit.refillPerSecond * scale;
+      if (refilled >= limit.capacity * scale) this.buckets.delete(key);
+    });
+  }
+}
+
+/**
+ * The client's address, taken from X-Forwarded-For when behind a trusted
+ * proxy.
+ * @param {Object} headers - The request or handshake headers.
+ * @param {string} address - The address the connection came from.
+ * @returns {string} The address to rate limit by.
+ */
+function clientAddress(headers, address) {
+  const forwarded = headers["x-forwarded-for"];
+  if (process.env.TRUST_PROXY && forwarded) {
+    return forwarded.split(",")[0].trim();
+  }
+  return address;
+}
+
+/**
+ * Locks a client out of a room's password check after repeated wrong
+ * guesses.
+ */
+class PasswordLockout {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.maxFailures] - Wrong guesses allowed within the window.
+   * @param {number} [options.window] - How long a wrong guess counts, in ms.
+   * @param {number} [options.lockout] - How long the lockout lasts, in ms.
+   * @param {Function} [options.now] - Returns the current time in ms.
+   */
+  constructor({ maxFailures = 5, window = 60000, lockout = 300000, now = Date.now } = {}) {
+    this.MAX_FAILURES = maxFailures;
+    this.WINDOW = window;
+    this.LOCKOUT = lockout;
+    this.now = now;
+    this.entries = new Map(); // key -> { failures: [timestamps], lockedUntil }
+  }
+
+  /**
+   * Time left on a lockout.
+   * @param {string} key - Identifies the client and room.
+   * @returns {number} 0 if not locked out, otherwise ms remaining.
+   */
+  remaining(key) {
+    const entry = this.entries.get(key);
+    if (!entry?.lockedUntil) return 0;
+
+    const left = entry.lockedUntil - this.now();
+    if (left > 0) return left;
+    this.entries.delete(key);
+    return 0;
+  }
+
+  /**
+   * Counts a wrong guess, locking the key out once there are too many.
+   * @param {string} key - Identifies the client and room.
+   */
+  recordFailure(key) {
+    const now = this.now();
+
+    // Forget guesses that have aged out everywhere else
+    this.entries.forEach((other, otherKey) => {
+      const lastFailure = other.failures[other.failures.length - 1] || 0;
+      if (!other.lockedUntil && now - lastFailure >= this.WINDOW) this.entries.delete(otherKey);
+    });
+
+    const entry = this.entries.get(key) || { failures: [], lockedUntil: null };
+    entry.failures = entry.failures.filter(at => now - at < this.WINDOW);
+    entry.failures.push(now);
+
+    if (entry.failures.length >= this.MAX_FAILURES) {
+      entry.failures = [];
+      entry.lockedUntil = now + this.LOCKOUT;
+    }
+    this.entries.set(key, entry);
+  }
+
+  /**
+   * Clears a key's wrong guesses after a correct one.
+   * @param {string} key - Identifies the client and room.
+   */
+  recordSuccess(key) {
+    this.entries.delete(key);
+  }
+}
+
+module.exports = { EVENT_LIMITS, RateLimiter, PasswordLockout, clientAddress };
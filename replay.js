@@ -0,0 +1,158 @@
+const SurvivalPathGame = require('./gameLogic');
+
+const REPLAY_VERSION = 1;
+
+/**
+ * Re-applies one logged action to a game. Each handler mirrors what the live
+ * server did when the action was accepted, minus sockets and timers.
+ */
+const applyAction = {
+  createRoom(game, roomId, { isPublic, settings, seed }) {
+    game.createRoom(roomId, isPublic, null, settings, seed);
+    game.rooms[roomId].isReplay = true;
+  },
+  join(game, roomId, { playerId, username }) {
+    game.addPlayerToRoom(roomId, playerId, username);
+  },
+  addBot(game, roomId, { botId, strategy }) {
+    game.addBot(roomId, strategy, botId);
+  },
+  removeBot(game, roomId, { botId }) {
+    game.removeBot(roomId, botId);
+  },
+  setBotStrategy(game, roomId, { playerId, strategy }) {
+    game.setBotStrategy(roomId, playerId, strategy);
+  },
+  updateSettings(game, roomId, { changes }) {
+    game.updateSettings(roomId, changes);
+  },
+  kickPlayer(game, roomId, { playerId }) {
+    game.kickPlayer(roomId, playerId);
+  },
+  transferHost(game, roomId, { playerId }) {
+    game.transferHost(roomId, playerId);
+  },
+  setReady(game, roomId, { playerId, ready }) {
+    game.setReady(roomId, playerId, ready);
+  },
+  linkProfile(game, roomId, { playerId, profileId }) {
+    game.linkProfile(roomId, playerId, profileId);
+  },
+  setTeam(game, roomId, { playerId, team }) {
+    game.setTeam(roomId, playerId, team);
+  },
+  setTurnOrder(game, roomId, { order }) {
+    game.setTurnOrder(roomId, order);
+  },
+  shuffleSeats(game, roomId) {
+    game.shuffleSeats(roomId);
+  },
+  startGame(game, roomId) {
+    game.startGame(roomId);
+  },
+  playCard(game, roomId, { playerId, cardIndex, targetPlayerId, direction }) {
+    game.playCard(roomId, playerId, cardIndex, targetPlayerId, direction);
+  },
+  playCounter(game, roomId, { playerId, cardIndex }) {
+    game.playCounter(roomId, playerId, cardIndex);
+  },
+  declineCounter(game, roomId, { playerId }) {
+    game.declineCounter(roomId, playerId);
+  },
+  reactionTimeout(game, roomId) {
+    game.recordAction(roomId, "reactionTimeout");
+    game.resolveReaction(roomId);
+  },
+  passTurn(game, roomId, { playerId }) {
+    game.passTurn(roomId, playerId);
+  },
+  turnTimeout(game, roomId, { playerId }) {
+    game.recordAction(roomId, "turnTimeout", { playerId });
+    game.endTurn(roomId);
+  },
+  roundTimeout(game, roomId) {
+    game.recordAction(roomId, "roundTimeout");
+    game.endRound(roomId, "timeout");
+  },
+  seatHeld(game, roomId, { playerId }) {
+    game.rooms[roomId].players[playerId].connected = false;
+    game.recordAction(roomId, "seatHeld", { playerId });
+  },
+  rejoin(game, roomId, { previousId, playerId }) {
+    game.restoreSeat(roomId, previousId, playerId);
+  },
+  disconnect(game, roomId, { playerId }) {
+    game.handleDisconnectedPlayer(roomId, playerId);
+  },
+  requestRematch(game, roomId, { playerId }) {
+    game.requestRematch(roomId, playerId);
+  },
+  // Pauses only stop clocks, and a replay has none; they are logged so a
+  // snapshot keeps the time left on each
+  pause(game, roomId, { reason, by }) {
+    game.recordAction(roomId, "pause", { reason, by });
+  },
+  resume(game, roomId, { reason }) {
+    game.recordAction(roomId, "resume", { reason });
+  },
+};
+
+/**
+ * Packages a room's seed and action log as a replay file.
+ * @param {SurvivalPathGame} game - The live game.
+ * @param {string} roomId - The room ID.
+ * @returns {Object} The replay.
+ */
+function exportReplay(game, roomId) {
+  const room = game.rooms[roomId];
+  if (!room) throw new Error(`Room with ID ${roomId} does not exist.`);
+
+  return {
+    version: REPLAY_VERSION,
+    roomId,
+    seed: room.seed,
+    exportedAt: new Date().toISOString(),
+    actions: room.actionLog.map(action => ({ ...action })),
+  };
+}
+
+/**
+ * Steps through a replay one action at a time.
+ * @param {Object} replay - A replay from `exportReplay`.
+ * @yields {Object} The applied action, the game and the room's state after it.
+ */
+function* stepReplay(replay) {
+  if (replay.version !== REPLAY_VERSION) {
+    throw new Error(`Unsupported replay version: ${replay.version}`);
+  }
+
+  const game = new SurvivalPathGame();
+  const { roomId } = replay;
+
+  for (const action of replay.actions) {
+    const apply = applyAction[action.type];
+    if (!apply) throw new Error(`Unknown action type in replay: ${action.type}`);
+
+    apply(game, roomId, action);
+    yield { action, game, state: game.getGameState(roomId) };
+  }
+}
+
+/**
+ * Rebuilds a room's game state from a replay. Apart from the live clock
+ * fields (`turnDeadline`, `roundDeadline` and a pending reaction's
+ * `deadline`) the result matches the original exactly.
+ * @param {Object} replay - A replay from `exportReplay`.
+ * @param {number} [upTo] - Stop before the action with this sequence number.
+ * @returns {Object} The game state, as returned by `getGameState`.
+ */
+function replayGame(replay, upTo = Infinity) {
+  const actions = replay.actions.filter(action => action.seq < upTo);
+  let state = null;
+  for (const step of stepReplay({ ...replay, actions })) {
+    state = step.state;
+  }
+  return state;
+}
+
+module.exports = { REPLAY_VERSION, exportReplay, stepReplay, replayGame };
@@ -0,0 +1,31 @@
+const crypto = require('crypto');
+
+/**
+ * Creates a seeded pseudo-random number generator (mulberry32). The same seed
+ * always produces the same sequence, which is what makes game replays exact.
+ * @param {number} seed - A 32-bit unsigned integer seed.
+ * @param {number} [state] - A saved state from `rng.getState()` to resume from.
+ * @returns {Function} A function returning floats in [0, 1), like Math.random.
+ */
+function createRng(seed, state = seed) {
+  state >>>= 0;
+  function rng() {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+  rng.getState = () => state;
+  return rng;
+}
+
+/**
+ * Generates a fresh random seed.
+ * @returns {number} A 32-bit unsigned integer.
+ */
+function randomSeed() {
+  return crypto.randomBytes(4).readUInt32BE(0);
+}
+
+module.exports = { createRng, randomSeed };
@@ -0,0 +1,186 @@
+/**
+ * The real clock, backed by Date.now and setTimeout.
+ */
+const systemClock = {
+  now: () => Date.now(),
+  setTimeout: (callback, ms) => setTimeout(callback, ms),
+  clearTimeout: (handle) => clearTimeout(handle),
+};
+
+/**
+ * Creates a clock that only moves when told to, so tests can fast-forward
+ * through turn and round deadlines.
+ * @param {number} [start] - The starting time, in ms.
+ * @returns {Object} A clock with an extra `advance(ms)` method.
+ */
+function createManualClock(start = 0) {
+  let now = start;
+  let nextHandle = 1;
+  const timers = new Map(); // handle -> { at, callback }
+
+  return {
+    now: () => now,
+    setTimeout(callback, ms) {
+      const handle = nextHandle++;
+      timers.set(handle, { at: now + Math.max(0, ms), callback });
+      return handle;
+    },
+    clearTimeout(handle) {
+      timers.delete(handle);
+    },
+    advance(ms) {
+      const target = now + ms;
+      for (;;) {
+        const due = [...timers.entries()]
+          .filter(([, timer]) => timer.at <= target)
+          .sort((a, b) => a[1].at - b[1].at)[0];
+        if (!due) break;
+
+        const [handle, timer] = due;
+        timers.delete(handle);
+        now = timer.at;
+        timer.callback();
+      }
+      now = target;
+    },
+  };
+}
+
+/**
+ * Runs keyed jobs at absolute deadlines using a single underlying timer.
+ * Scheduling a key that already exists replaces its job, so a room can never
+ * end up with two turn timers.
+ */
+class Scheduler {
+  /**
+   * @param {Object} [clock] - Provides now, setTimeout and clearTimeout.
+   */
+  constructor(clock = systemClock) {
+    this.clock = clock;
+    this.jobs = new Map(); // key -> { deadline, callback }
+    this.timer = null;
+    this.wakeAt = null;
+  }
+
+  /**
+   * The clock's current time.
+   * @returns {number} Milliseconds since the epoch (or the manual clock's start).
+   */
+  now() {
+    return this.clock.now();
+  }
+
+  /**
+   * Runs a callback at a deadline.
+   * @param {string} key - Identifies the job, e.g. "roomId:turn".
+   * @param {number} deadline - When to run, in clock milliseconds.
+   * @param {Function} callback - The job.
+   */
+  schedule(key, deadline, callback) {
+    this.jobs.set(key, { deadline, callback });
+    this.arm();
+  }
+
+  /**
+   * Runs a callback after a delay.
+   * @param {string} key - Identifies the job.
+   * @param {number} ms - The delay.
+   * @param {Function} callback - The job.
+   * @returns {number} The deadline.
+   */
+  scheduleIn(key, ms, callback) {
+    const deadline = this.now() + ms;
+    this.schedule(key, deadline, callback);
+    return deadline;
+  }
+
+  /**
+   * Cancels a job.
+   * @param {string} key - The job's key.
+   */
+  cancel(key) {
+    if (this.jobs.delete(key)) this.arm();
+  }
+
+  /**
+   * Cancels every job whose key starts with a prefix, e.g. all of a room's.
+   * @param {string} prefix - The key prefix.
+   */
+  cancelPrefix(prefix) {
+    let changed = false;
+    this.jobs.forEach((job, key) => {
+      if (key.startsWith(prefix)) {
+        this.jobs.delete(key);
+        changed = true;
+      }
+    });
+    if (changed) this.arm();
+  }
+
+  /**
+   * Whether a job is pending.
+   * @param {string} key - The job's key.
+   * @returns {boolean} True if scheduled.
+   */
+  has(key) {
+    return this.jobs.has(key);
+  }
+
+  /**
+   * Time left before a job runs.
+   * @param {string} key - The job's key.
+   * @returns {number|null} Milliseconds, or null if nothing is scheduled.
+   */
+  remaining(key) {
+    const job = this.jobs.get(key);
+    return job ? Math.max(0, job.deadline - this.now()) : null;
+  }
+
+  /**
+   * Points the single underlying timer at the earliest deadline.
+   */
+  arm() {
+    let next = null;
+    this.jobs.forEach(({ deadline }) => {
+      if (next === null || deadline < next) next = deadline;
+    });
+    if (next === this.wakeAt) return;
+
+    if (this.timer !== null) {
+      this.clock.clearTimeout(this.timer);
+      this.timer = null;
+    }
+    this.wakeAt = next;
+    if (next === null) return;
+
+    this.timer = this.clock.setTimeout(() => this.runDue(), Math.max(0, next - this.now()));
+  }
+
+  /**
+   * Runs every job whose deadline has passed, earliest first.
+   */
+  runDue() {
+    this.timer = null;
+    this.wakeAt = null;
+
+    const now = this.now();
+    const due = [...this.jobs.entries()]
+      .filter(([, job]) => job.deadline <= now)
+      .sort((a, b) => a[1].deadline - b[1].deadline);
+
+    due.forEach(([key, job]) => {
+      // An earlier job may have cancelled or replaced this one
+      if (this.jobs.get(key) !== job) return;
+      this.jobs.delete(key);
+      try {
+        job.callback();
+      } catch (error) {
+        console.error(`Scheduled job ${key} failed:`, error);
+      }
+    });
+
+    this.arm();
+  }
+}
+
+module.exports = { Scheduler, systemClock, createManualClock };
@@ -0,0 +1,165 @@
+const { GameError, ErrorCodes } = require("./errors");
+
+// Shared field rules
+const roomId = { type: "string", required: true, minLength: 1, maxLength: 64 };
+const playerId = { type: "string", required: true, minLength: 1, maxLength: 64 };
+const password = { type: "string", maxLength: 64, nullable: true };
+const username = { type: "string", trim: true, minLength: 1, maxLength: 24 };
+const invite = { type: "string", maxLength: 512, nullable: true };
+const profileToken = { type: "string", maxLength: 512, nullable: true };
+const profileId = { type: "string", required: true, minLength: 1, maxLength: 64 };
+const roomOnly = { roomId };
+const newRoom = {
+  isPublic: { type: "boolean", default: false },
+  password,
+  settings: { type: "object" },
+};
+
+/**
+ * The payload of every client-to-server event. Each field rule has a `type`
+ * ("string", "integer", "boolean", "object" or "array") and may add
+ * `required`, `nullable`, `default`, `trim`, `minLength`/`maxLength`,
+ * `min`/`max`, `enum`, `maxItems` and `items`. Fields not listed are dropped.
+ */
+const EVENT_SCHEMAS = {
+  createRoom: { roomId, ...newRoom },
+  joinRoom: { roomId, username: { ...username, required: true }, password, invite, profileToken },
+  spectateRoom: { roomId, username, password, invite },
+  stopSpectating: roomOnly,
+  rejoinRoom: { sessionToken: { type: "string", required: true, minLength: 1, maxLength: 128 } },
+  sendChat: { roomId, text: { type: "string", required: true } },
+  mutePlayer: { roomId, playerId, muted: { type: "boolean", default: true } },
+  startGame: roomOnly,
+  pauseGame: roomOnly,
+  resumeGame: roomOnly,
+  votePause: roomOnly,
+  requestRematch: roomOnly,
+  setReady: { roomId, ready: { type: "boolean", default: true } },
+  setTeam: { roomId, team: { type: "integer", required: true, min: 0, max: 3 }, playerId: { ...playerId, required: false, nullable: true } },
+  kickPlayer: { roomId, playerId },
+  transferHost: { roomId, playerId },
+  reorderSeats: { roomId, order: { type: "array", required: true, maxItems: 8, items: playerId } },
+  shuffleSeats: roomOnly,
+  updateSettings: { roomId, settings: { type: "object", required: true } },
+  addBot: { roomId, strategy: { type: "string", maxLength: 32 } },
+  removeBot: { roomId, botId: playerId },
+  setBotStrategy: { roomId, playerId, strategy: { type: "string", required: true, maxLength: 32 } },
+  createInvite: { roomId, ttl: { type: "integer" } },
+  revokeInvite: { roomId, inviteId: { type: "string", required: true, maxLength: 32 } },
+  listInvites: roomOnly,
+  exportReplay: roomOnly,
+  getPublicRooms: {},
+  getBoards: {},
+  getPacks: {},
+  quickJoin: {},
+  createProfile: { username: { ...username, required: true }, password },
+  login: { username: { ...username, required: true }, password: { ...password, required: true, nullable: false } },
+  getProfile: { profileId },
+  getMatchHistory: { profileId, limit: { type: "integer", min: 1, max: 100 } },
+  getLeaderboard: { limit: { type: "integer", min: 1, max: 100 }, minGames: { type: "integer", min: 0 } },
+  playCounter: { roomId, cardIndex: { type: "integer", required: true, min: 0 } },
+  declineCounter: roomOnly,
+  playCard: {
+    roomId,
+    cardIndex: { type: "integer", required: true, min: 0 },
+    targetPlayerId: { ...playerId, required: false, nullable: true },
+    direction: { type: "string", enum: ["forward", "backward"], default: "forward" },
+  },
+};
+
+/**
+ * Request bodies of the HTTP API, in the same form. Where an endpoint
+ * mirrors a socket event it uses the same rules, less what the server
+ * fills in itself.
+ */
+const BODY_SCHEMAS = {
+  createRoom: newRoom,
+};
+
+/**
+ * Checks one value against a field rule.
+ * @param {string} field - The field name, for error messages.
+ * @param {Object} rule - The field rule.
+ * @param {*} value - The value sent by the client.
+ * @returns {*} The value, trimmed if the rule asks for it.
+ */
+function checkField(field, rule, value) {
+  const fail = (problem) => {
+    throw new GameError(ErrorCodes.INVALID_PAYLOAD, `${field} ${problem}`);
+  };
+
+  switch (rule.type) {
+    case "string":
+      if (typeof value !== 'string') fail("must be text");
+      if (rule.trim) value = value.trim();
+      if (rule.minLength !== undefined && value.length < rule.minLength) {
+        fail(rule.minLength === 1 ? "must not be empty" : `must be at least ${rule.minLength} characters`);
+      }
+      if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+        fail(`must be at most ${rule.maxLength} characters`);
+      }
+      if (rule.enum && !rule.enum.includes(value)) fail(`must be one of ${rule.enum.join(", ")}`);
+      break;
+
+    case "integer":
+      if (!Number.isInteger(value)) fail("must be a whole number");
+      if (rule.min !== undefined && value < rule.min) fail(`must be at least ${rule.min}`);
+      if (rule.max !== undefined && value > rule.max) fail(`must be at most ${rule.max}`);
+      break;
+
+    case "boolean":
+      if (typeof value !== 'boolean') fail("must be true or false");
+      break;
+
+    case "object":
+      if (typeof value !== 'object' || value === null || Array.isArray(value)) fail("must be an object");
+      break;
+
+    case "array":
+      if (!Array.isArray(value)) fail("must be a list");
+      if (rule.maxItems !== undefined && value.length > rule.maxItems) {
+        fail(`must have at most ${rule.maxItems} items`);
+      }
+      if (rule.items) value = value.map((item, i) => checkField(`${field}[${i}]`, rule.items, item));
+      break;
+
+    default:
+      throw new Error(`Unknown schema type: ${rule.type}`);
+  }
+
+  return value;
+}
+
+/**
+ * Validates an event payload against its schema.
+ * @param {string} event - The event name.
+ * @param {*} payload - What the client sent.
+ * @param {Object} [schemas] - Where to look the schema up, e.g. `BODY_SCHEMAS`.
+ * @returns {Object} The payload with defaults applied and unknown fields dropped.
+ */
+function validatePayload(event, payload, schemas = EVENT_SCHEMAS) {
+  const schema = schemas[event];
+  if (!schema) throw new Error(`No schema for event: ${event}`);
+
+  if (payload === undefined || payload === null) payload = {};
+  if (typeof payload !== 'object' || Array.isArray(payload)) {
+    throw new GameError(ErrorCodes.INVALID_PAYLOAD, `${event} expects an object`);
+  }
+
+  const result = {};
+  Object.entries(schema).forEach(([field, rule]) => {
+    const value = payload[field];
+    if (value === undefined || (value === null && rule.nullable)) {
+      if (rule.required) {
+        throw new GameError(ErrorCodes.INVALID_PAYLOAD, `${field} is required`);
+      }
+      result[field] = value === null ? null : rule.default;
+      return;
+    }
+    result[field] = checkField(field, rule, value);
+  });
+
+  return result;
+}
+
+module.exports = { EVENT_SCHEMAS, BODY_SCHEMAS, validatePayload };
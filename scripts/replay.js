@@ -0,0 +1,53 @@
+/**
+ * Steps through an exported replay file without a server.
+ *
+ *   node scripts/replay.js <replay.json> [--step]
+ *
+ * With --step, press Enter to advance one action at a time.
+ */
+const fs = require('fs');
+const readline = require('readline');
+const { stepReplay } = require('../replay');
+
+function describe(action, state) {
+  const { seq, type, ...payload } = action;
+  const args = Object.keys(payload).length ? ` ${JSON.stringify(payload)}` : '';
+  const standings = Object.values(state.players)
+    .map(player => `${player.username}@${player.position}/${player.score}pts`)
+    .join('  ');
+  return `#${seq} ${type}${args}\n    round ${state.gameState.currentRound}  ${standings}`;
+}
+
+async function main() {
+  const [file, flag] = process.argv.slice(2);
+  if (!file) {
+    console.error('Usage: node scripts/replay.js <replay.json> [--step]');
+    process.exit(1);
+  }
+
+  const replay = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  const interactive = flag === '--step';
+  const rl = interactive
+    ? readline.createInterface({ input: process.stdin, output: process.stdout })
+    : null;
+
+  // Keep the game's own narration out of the step output
+  const log = console.log;
+  console.log = () => {};
+
+  let last = null;
+  for (const step of stepReplay(replay)) {
+    log(describe(step.action, step.state));
+    last = step.state;
+    if (rl) await new Promise(resolve => rl.question('', resolve));
+  }
+
+  if (rl) rl.close();
+  const winner = last?.gameState.winner;
+  log(winner ? `Winner: ${last.players[winner].username}` : 'Game did not finish.');
+}
+
+main().catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});
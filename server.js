@@ -1,12 +1,94 @@
+require("dotenv").config();
+
 const express = require("express");
 const http = require("http");
+const cors = require("cors");
 const { Server } = require("socket.io");
+const SurvivalPathGame = require("./gameLogic");
 const handleSocketConnection = require("./socketHandlers");
+const createApiRouter = require("./api");
+const RoomPersistence = require("./persistence");
+const ProfileService = require("./profiles");
+const { createStorage } = require("./storage");
+const { RateLimiter } = require("./rateLimit");
+
+const PORT = Number(process.env.PORT) || 8000;
+// Comma-separated list of allowed origins, or "*" for any
+const CORS_ORIGIN = process.env.CORS_ORIGIN && process.env.CORS_ORIGIN !== "*"
+  ? process.env.CORS_ORIGIN.split(",").map(origin => origin.trim())
+  : "*";
+const STORAGE_DRIVER = process.env.STORAGE_DRIVER || "file";
+const STORAGE_DIR = process.env.STORAGE_DIR || "data/rooms";
+const PROFILES_DIR = process.env.PROFILES_DIR || "data/profiles";
+const MATCHES_DIR = process.env.MATCHES_DIR || "data/matches";
+const SHUTDOWN_TIMEOUT = 5000; // ms to wait for sockets to close
+
+// Whether a value parses as an http or https URL
+function isHttpUrl(value) {
+  try {
+    return ["http:", "https:"].includes(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+}
 
+if (!process.env.INVITE_SECRET) {
+  console.warn("INVITE_SECRET is not set; invite links will stop working on restart");
+}
+// Invite links are built from this on every request, so a bad value stops startup
+if (process.env.INVITE_BASE_URL && !isHttpUrl(process.env.INVITE_BASE_URL)) {
+  console.error(`INVITE_BASE_URL is not a valid http(s) URL: ${process.env.INVITE_BASE_URL}`);
+  process.exit(1);
+}
+if (!process.env.PROFILE_SECRET) {
+  console.warn("PROFILE_SECRET is not set; players will be signed out of their profiles on restart");
+}
+
+const game = new SurvivalPathGame({ inviteSecret: process.env.INVITE_SECRET });
 const app = express();
 const httpServer = http.createServer(app);
-const io = new Server(httpServer, { cors: { origin: "*" } });
+const io = new Server(httpServer, { cors: { origin: CORS_ORIGIN } });
+
+const profiles = new ProfileService(game, {
+  profiles: createStorage(STORAGE_DRIVER, { dir: PROFILES_DIR }),
+  matches: createStorage(STORAGE_DRIVER, { dir: MATCHES_DIR }),
+}, { secret: process.env.PROFILE_SECRET });
+const loaded = profiles.load();
+profiles.attach();
+console.log(`Loaded ${loaded.profiles} profile(s) and ${loaded.matches} match(es)`);
+
+// One limiter for sockets and HTTP, so neither route gets around the other
+const limiter = new RateLimiter();
+
+app.use(cors({ origin: CORS_ORIGIN }));
+app.use(createApiRouter(game, profiles, limiter));
+
+const persistence = new RoomPersistence(game, createStorage(STORAGE_DRIVER, { dir: STORAGE_DIR }));
+const restoredRooms = persistence.restoreAll();
+persistence.attach();
+
+const { resumeRoom } = handleSocketConnection(io, game, profiles, limiter);
+restoredRooms.forEach(resumeRoom);
+if (restoredRooms.length) {
+  console.log(`Restored ${restoredRooms.length} room(s) from ${STORAGE_DRIVER} storage`);
+}
+
+let shuttingDown = false;
+function shutdown(signal) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  console.log(`${signal} received, saving rooms and shutting down`);
+
+  io.emit("serverShutdown", { reconnect: true });
+  persistence.saveAll();
+  // The disconnects below would otherwise snapshot every seat as dropped
+  persistence.detach();
+
+  io.close(() => process.exit(0));
+  setTimeout(() => process.exit(0), SHUTDOWN_TIMEOUT).unref();
+}
 
-handleSocketConnection(io);
+process.on("SIGTERM", () => shutdown("SIGTERM"));
+process.on("SIGINT", () => shutdown("SIGINT"));
 
-httpServer.listen(8000, () => console.log("Server running on http://localhost:8000"));
+httpServer.listen(PORT, () => console.log(`Server running on http://localhost:${PORT}`));
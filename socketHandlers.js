@@ -1,196 +1,529 @@
-const SurvivalPathGame = require("./gameLogic");
+const RoomChat = require("./chat");
+const { exportReplay } = require("./replay");
+const { describeEffect } = require("./effects");
+const { GameError, ErrorCodes, toClientError } = require("./errors");
+const { validatePayload } = require("./schemas");
+const { RateLimiter, PasswordLockout, clientAddress } = require("./rateLimit");
 
-const game = new SurvivalPathGame();
+const chat = new RoomChat();
+const passwordLockout = new PasswordLockout();
+
+const LOBBY_BROADCAST_DELAY = 250; // ms of lobby changes folded into one broadcast
+const LOBBY_JOB = ":lobby"; // scheduler key; no room key starts with ":"
+
+// A shareable link for an invite, when the client's URL is configured
+function inviteUrl(roomId, token) {
+  const base = process.env.INVITE_BASE_URL;
+  if (!base) return null;
+
+  const url = new URL(base);
+  url.searchParams.set("room", roomId);
+  url.searchParams.set("invite", token);
+  return url.toString();
+}
+
+function handleSocketConnection(io, game, profiles, limiter = new RateLimiter()) {
+  // Relay round, turn and game lifecycle events to everyone in the room
+  game.on("roomEvent", ({ roomId, type, payload }) => {
+    io.to(roomId).emit(type, payload);
+  });
+
+  // Prompts for one player only; a socket's ID doubles as its own room
+  game.on("playerEvent", ({ playerId, type, payload }) => {
+    io.to(playerId).emit(type, payload);
+  });
+
+  // A round that ran out of time ended on a timer, not in a handler
+  game.on("roundTimedOut", ({ roomId }) => {
+    // The next round's first player gets a full turn. This also brings back
+    // the turn and bot timers a card waiting on its target had stopped.
+    if (game.rooms[roomId] && !game.rooms[roomId].gameState.winner) {
+      game.resetAndStartTimer(roomId, io);
+    }
+    game.emitGameState(roomId, io);
+  });
+
+  // However a room goes (last player gone, empty-room cleanup, ...) its
+  // chat history and mutes go with it
+  game.on("roomDeleted", (roomId) => chat.deleteRoom(roomId));
+
+  // Rooms created or changed outside a socket handler (e.g. over HTTP)
+  game.on("lobbyChanged", () => broadcastLobby());
+
+  // Lobby feeds: joinable rooms, and running or full rooms to watch. A burst
+  // of changes goes out as a single broadcast.
+  function broadcastLobby() {
+    if (game.scheduler.has(LOBBY_JOB)) return;
+    game.scheduler.scheduleIn(LOBBY_JOB, LOBBY_BROADCAST_DELAY, () => {
+      io.emit("publicRoomsUpdate", game.getPublicRooms());
+      io.emit("watchableRoomsUpdate", game.getWatchableRooms());
+    });
+  }
+
+  // Called once a dropped player's grace period runs out without a rejoin
+  function removePlayer(roomId, playerId) {
+    try {
+      const room = game.rooms[roomId];
+      if (!room) return;
+
+      // Instead of removing player, mark them as AI-controlled
+      game.handleDisconnectedPlayer(roomId, playerId);
+
+      // If it was this player's turn, let the bot take it
+      if (room.gameState.currentTurn === playerId && room.hasStarted && !room.gameState.winner) {
+        game.resetAndStartTimer(roomId, io);
+      }
+
+      // Delete the room only once no one is connected and every other
+      // dropped player's grace period has run out too
+      if (game.isAbandoned(roomId)) {
+        game.deleteRoom(roomId);
+        console.log(`Room ${roomId} removed due to no players`);
+      } else {
+        io.to(roomId).emit("playerLeft", playerId);
+        game.emitGameState(roomId, io);
+      }
+
+      // Update public rooms list for all clients
+      broadcastLobby();
+    } catch (error) {
+      console.error('Error removing player:', error);
+    }
+  }
+
+  // Throws unless the room exists and the socket is its host
+  function requireHost(roomId, socketId, action) {
+    const room = game.rooms[roomId];
+    if (!room) {
+      throw new GameError(ErrorCodes.ROOM_NOT_FOUND, `Room with ID ${roomId} does not exist.`);
+    }
+    if (room.hostId !== socketId) {
+      throw new GameError(ErrorCodes.NOT_HOST, `Only the host can ${action}`);
+    }
+    return room;
+  }
+
+  // Restarts the clocks after a card play and tells the room what happened
+  function announceCardPlay(roomId, result) {
+    const roomState = game.getGameState(roomId);
+    const eventDetails = result.effect ? describeEffect(result.effect, roomState.players) : null;
+
+    // Reset and restart timer only if game is still active
+    if (!roomState.gameState.winner) {
+      game.resetAndStartTimer(roomId, io);
+    }
+
+    game.emitGameState(roomId, io, {
+      lastAction: result.message,
+      eventDetails,
+    });
+    return { message: result.message };
+  }
 
-function handleSocketConnection(io) {
   io.on("connection", (socket) => {
     console.log(`Player connected: ${socket.id}`);
+    const ip = clientAddress(socket.handshake.headers, socket.handshake.address);
+    socket.data.createdRooms = new Set();
 
-    socket.on("createRoom", ({ roomId, isPublic, password }) => {
-      try {
-        if (!roomId || typeof roomId !== 'string') {
-          throw new Error('Invalid room ID');
+    // Registers a client event: the event is rate limited and its payload
+    // checked against its schema first, and the outcome goes back through the ack callback as
+    // { ok, data } or { ok: false, error: { code, message } }. Clients that
+    // send no ack get failures as an actionError event instead.
+    function on(event, handler) {
+      socket.on(event, (...args) => {
+        const ack = typeof args[args.length - 1] === 'function' ? args.pop() : null;
+        try {
+          const retryAfter = limiter.consume(event, socket.id, ip);
+          if (retryAfter) {
+            throw new GameError(
+              ErrorCodes.RATE_LIMITED,
+              `Too many ${event} requests, try again in ${Math.ceil(retryAfter / 1000)}s`
+            );
+          }
+          const data = handler(validatePayload(event, args[0]));
+          if (ack) ack({ ok: true, data: data ?? null });
+        } catch (error) {
+          const clientError = toClientError(error);
+          if (ack) {
+            ack({ ok: false, error: clientError });
+          } else {
+            socket.emit("actionError", { event, ...clientError });
+          }
         }
-        
-        game.createRoom(roomId, isPublic, password);
-        socket.join(roomId);
-        io.emit("publicRoomsUpdate", game.getPublicRooms());
-        
-      } catch (error) {
-        socket.emit("actionError", { message: error.message });
+      });
+    }
+
+    // Runs a password check, locking the client out of the room after
+    // repeated wrong guesses
+    function withPasswordLockout(roomId, attempt) {
+      const key = `${ip}:${roomId}`;
+      const locked = passwordLockout.remaining(key);
+      if (locked) {
+        throw new GameError(
+          ErrorCodes.LOCKED_OUT,
+          `Too many wrong passwords, try again in ${Math.ceil(locked / 1000)}s`
+        );
       }
-    });
 
-    socket.on("joinRoom", ({ roomId, username, password }) => {
       try {
-        game.addPlayerToRoom(roomId, socket.id, username, password);
-        socket.join(roomId);
-        io.to(roomId).emit("gameState", game.getGameState(roomId));
-        io.emit("publicRoomsUpdate", game.getPublicRooms());
+        attempt();
       } catch (error) {
-        socket.emit("actionError", { message: error.message });
+        if (error.code === ErrorCodes.BAD_PASSWORD) passwordLockout.recordFailure(key);
+        throw error;
+      }
+      passwordLockout.recordSuccess(key);
+    }
+
+    on("createRoom", ({ roomId, isPublic, password, settings }) => {
+      const { createdRooms } = socket.data;
+      createdRooms.forEach(id => {
+        if (!game.rooms[id]) createdRooms.delete(id);
+      });
+      if (createdRooms.size >= game.MAX_ROOMS_PER_CLIENT) {
+        throw new GameError(
+          ErrorCodes.TOO_MANY_ROOMS,
+          `You can have at most ${game.MAX_ROOMS_PER_CLIENT} open rooms`
+        );
       }
+
+      game.createRoom(roomId, isPublic, password, settings);
+      createdRooms.add(roomId);
+      game.scheduleEmptyRoomCleanup(roomId);
+      socket.join(roomId);
+      broadcastLobby();
+      return { roomId };
     });
 
-    socket.on("startGame", (roomId) => {
-      try {
-        const room = game.rooms[roomId];
-        if (!room || room.hostId !== socket.id) {
-          throw new Error("Only the host can start the game");
-        }
-        
-        game.startGame(roomId);
-        game.startTimer(roomId, io);
-        io.to(roomId).emit("gameState", game.getGameState(roomId));
-        io.emit("publicRoomsUpdate", game.getPublicRooms());
-      } catch (error) {
-        socket.emit("actionError", { message: error.message });
+    on("joinRoom", ({ roomId, username, password, invite, profileToken }) => {
+      // Check the profile first so a bad token does not leave a seat behind
+      const profile = profileToken ? profiles.authenticate(profileToken) : null;
+      if (profile && game.findProfileSeat(roomId, profile.profileId)) {
+        throw new GameError(ErrorCodes.ALREADY_IN_ROOM, "This profile already has a seat in the room");
       }
+      withPasswordLockout(roomId, () => game.addPlayerToRoom(roomId, socket.id, username, password, invite));
+      if (profile) game.linkProfile(roomId, socket.id, profile.profileId);
+      socket.join(roomId);
+      const sessionToken = game.createSession(roomId, socket.id);
+      socket.emit("session", { roomId, playerId: socket.id, sessionToken });
+      socket.emit("chatHistory", { channel: "players", messages: chat.getHistory(roomId, "players") });
+      game.emitGameState(roomId, io);
+      broadcastLobby();
+      return { roomId, playerId: socket.id, sessionToken };
     });
 
-    socket.on("getPublicRooms", () => {
-      socket.emit("publicRoomsUpdate", game.getPublicRooms());
+    on("spectateRoom", ({ roomId, username, password, invite }) => {
+      withPasswordLockout(roomId, () => game.addSpectator(roomId, socket.id, username, password, invite));
+      socket.join(roomId);
+      chat.CHANNELS.forEach(channel => {
+        socket.emit("chatHistory", { channel, messages: chat.getHistory(roomId, channel) });
+      });
+      io.to(roomId).emit("spectatorsUpdate", game.getSpectators(roomId));
+      game.emitGameState(roomId, io);
+      broadcastLobby();
     });
 
-    socket.on("quickJoin", () => {
-      try {
-        const publicRooms = game.getPublicRooms();
-        const availableRoom = publicRooms.find(room => 
-          !game.rooms[room.roomId].hasStarted && 
-          room.playerCount < game.MAX_PLAYERS
-        );
+    on("stopSpectating", ({ roomId }) => {
+      if (game.removeSpectator(roomId, socket.id)) {
+        socket.leave(roomId);
+        io.to(roomId).emit("spectatorsUpdate", game.getSpectators(roomId));
+        broadcastLobby();
+      }
+    });
 
-        if (!availableRoom) {
-          throw new Error("No available rooms found");
-        }
+    on("rejoinRoom", ({ sessionToken }) => {
+      const { roomId, previousId } = game.rejoinRoom(sessionToken, socket.id);
+      game.releaseSeat(roomId, socket.id);
+      chat.renameMember(roomId, previousId, socket.id);
+      socket.join(roomId);
+      socket.emit("session", { roomId, playerId: socket.id, sessionToken });
+      socket.emit("chatHistory", { channel: "players", messages: chat.getHistory(roomId, "players") });
+      io.to(roomId).emit("playerReconnected", { previousId, playerId: socket.id });
+      if (game.rooms[roomId].pause?.reason === "disconnected") {
+        game.resumeGame(roomId, io, "rejoin");
+      }
+      game.emitGameState(roomId, io);
+      return { roomId, playerId: socket.id, sessionToken };
+    });
 
-        socket.emit("quickJoinRoom", availableRoom.roomId);
-      } catch (error) {
-        socket.emit("actionError", { message: error.message });
+    on("sendChat", ({ roomId, text }) => {
+      const room = game.rooms[roomId];
+      const player = room?.players[socket.id];
+      const spectator = room?.spectators.get(socket.id);
+      if (!player && !spectator) {
+        throw new GameError(ErrorCodes.NOT_IN_ROOM, "You are not in this room");
       }
+
+      // Spectators only ever reach other spectators
+      const channel = player ? "players" : "spectators";
+      const username = (player || spectator).username;
+      const message = chat.postMessage(roomId, channel, socket.id, username, text);
+
+      const recipients = player ? roomId : Array.from(room.spectators.keys());
+      io.to(recipients).emit("chatMessage", message);
+      return { id: message.id };
     });
 
-    socket.on("playCard", ({ roomId, cardIndex, targetPlayerId, direction }) => {
-      try {
-        // Validate inputs
-        if (!roomId || typeof roomId !== 'string') {
-          throw new Error('Invalid room ID');
-        }
-        if (typeof cardIndex !== 'number' || cardIndex < 0) {
-          throw new Error('Invalid card index');
-        }
-        if (direction && !['forward', 'backward'].includes(direction)) {
-          throw new Error('Invalid direction');
-        }
+    on("mutePlayer", ({ roomId, playerId, muted }) => {
+      const room = requireHost(roomId, socket.id, "mute players");
+      if (!room.players[playerId] && !room.spectators.has(playerId)) {
+        throw new GameError(ErrorCodes.PLAYER_NOT_FOUND, "That player is not in this room");
+      }
+      if (playerId === socket.id) {
+        throw new GameError(ErrorCodes.INVALID_TARGET, "You cannot mute yourself");
+      }
 
-        // Check if game is in valid state
-        const room = game.rooms[roomId];
-        if (!room) {
-          throw new Error('Room does not exist');
-        }
-        if (!room.gameState.gameStarted) {
-          throw new Error('Game has not started');
-        }
-        if (room.gameState.winner) {
-          throw new Error('Game has ended');
-        }
+      chat.setMuted(roomId, playerId, muted);
+      io.to(roomId).emit("playerMuted", { playerId, muted });
+    });
 
-        const result = game.playCard(roomId, socket.id, cardIndex, targetPlayerId, direction);
-        const roomState = game.getGameState(roomId);
-
-        // Check if the round should end due to player position
-        const currentPlayer = roomState.players[socket.id];
-        if (currentPlayer && currentPlayer.position >= 45) {
-          game.endRound(roomId);
-          io.to(roomId).emit("roundEnd", {
-            winner: socket.id,
-            winnerName: currentPlayer.username
-          });
-        }
+    on("startGame", ({ roomId }) => {
+      requireHost(roomId, socket.id, "start the game");
 
-        // Add additional context for event and mind play cards
-        let eventDetails = null;
-        const playedCard = roomState.players[socket.id]?.hand[cardIndex];
-
-        if (playedCard?.type === "Event") {
-          switch (playedCard.effect) {
-            case "Swap Places":
-              const targetPlayer = roomState.players[targetPlayerId]?.username || targetPlayerId;
-              eventDetails = `Player ${socket.id} swapped places with ${targetPlayer}.`;
-              break;
-            case "Shuffle Board":
-              eventDetails = "The board positions were shuffled.";
-              break;
-            case "Free Move":
-              eventDetails = `Player ${socket.id} moved ${playedCard.value} steps for free.`;
-              break;
-            case "Draw 1 for Everyone":
-              eventDetails = "Each player drew 1 card.";
-              break;
-            case "Bonus Round":
-              eventDetails = `Player ${socket.id} earned a bonus round!`;
-              break;
-          }
-        } else if (playedCard?.type === "Mind Play") {
-          eventDetails = `Player ${socket.id} played a Mind Play card targeting ${targetPlayerId}!`;
-        } else if (playedCard?.type === "Move") {
-          eventDetails = `Player ${socket.id} moved ${playedCard.value} steps ${direction}.`;
-        }
+      game.startGame(roomId);
+      game.startTimer(roomId, io);
+      game.emitGameState(roomId, io);
+      broadcastLobby();
+    });
 
-        // Reset and restart timer only if game is still active
-        if (!roomState.gameState.winner) {
-          game.resetAndStartTimer(roomId, io);
-        }
+    on("pauseGame", ({ roomId }) => {
+      requireHost(roomId, socket.id, "pause the game");
 
-        io.to(roomId).emit("gameState", {
-          ...roomState,
-          lastAction: result.message,
-          eventDetails,
-        });
+      game.pauseGame(roomId, io, "host", socket.id);
+      game.emitGameState(roomId, io);
+    });
 
-      } catch (error) {
-        socket.emit("actionError", { message: error.message });
+    on("resumeGame", ({ roomId }) => {
+      requireHost(roomId, socket.id, "resume the game");
+
+      game.resumeGame(roomId, io, "host");
+      game.emitGameState(roomId, io);
+    });
+
+    on("votePause", ({ roomId }) => {
+      const tally = game.votePause(roomId, io, socket.id);
+      game.emitGameState(roomId, io);
+      return tally;
+    });
+
+    on("requestRematch", ({ roomId }) => {
+      const tally = game.requestRematch(roomId, socket.id);
+      game.emitGameState(roomId, io);
+      return tally;
+    });
+
+    on("setReady", ({ roomId, ready }) => {
+      game.setReady(roomId, socket.id, ready);
+      game.emitGameState(roomId, io);
+    });
+
+    on("setTeam", ({ roomId, team, playerId }) => {
+      // Players pick their own team; the host can move anyone
+      const movedId = playerId || socket.id;
+      if (movedId !== socket.id) requireHost(roomId, socket.id, "move other players between teams");
+
+      game.setTeam(roomId, movedId, team);
+      game.emitGameState(roomId, io);
+    });
+
+    on("kickPlayer", ({ roomId, playerId }) => {
+      requireHost(roomId, socket.id, "kick players");
+
+      game.kickPlayer(roomId, playerId);
+      const kickedSocket = io.sockets.sockets.get(playerId);
+      if (kickedSocket) {
+        kickedSocket.emit("kicked", { roomId });
+        kickedSocket.leave(roomId);
+      }
+      io.to(roomId).emit("playerKicked", playerId);
+      game.emitGameState(roomId, io);
+      broadcastLobby();
+    });
+
+    on("transferHost", ({ roomId, playerId }) => {
+      requireHost(roomId, socket.id, "transfer the host role");
+
+      game.transferHost(roomId, playerId);
+      game.emitGameState(roomId, io);
+    });
+
+    on("reorderSeats", ({ roomId, order }) => {
+      requireHost(roomId, socket.id, "reorder seats");
+
+      game.setTurnOrder(roomId, order);
+      game.emitGameState(roomId, io);
+    });
+
+    on("shuffleSeats", ({ roomId }) => {
+      requireHost(roomId, socket.id, "reorder seats");
+
+      game.shuffleSeats(roomId);
+      game.emitGameState(roomId, io);
+    });
+
+    on("updateSettings", ({ roomId, settings }) => {
+      requireHost(roomId, socket.id, "change settings");
+
+      const updated = game.updateSettings(roomId, settings);
+      io.to(roomId).emit("settingsUpdated", updated);
+      game.emitGameState(roomId, io);
+      broadcastLobby();
+      return updated;
+    });
+
+    on("addBot", ({ roomId, strategy }) => {
+      requireHost(roomId, socket.id, "add bots");
+
+      const botId = game.addBot(roomId, strategy);
+      game.emitGameState(roomId, io);
+      broadcastLobby();
+      return { botId };
+    });
+
+    on("removeBot", ({ roomId, botId }) => {
+      requireHost(roomId, socket.id, "remove bots");
+
+      game.removeBot(roomId, botId);
+      game.emitGameState(roomId, io);
+      broadcastLobby();
+    });
+
+    on("setBotStrategy", ({ roomId, playerId, strategy }) => {
+      requireHost(roomId, socket.id, "change bot strategies");
+
+      game.setBotStrategy(roomId, playerId, strategy);
+      io.to(roomId).emit("botStrategyChanged", { playerId, strategy });
+    });
+
+    on("createInvite", ({ roomId, ttl }) => {
+      requireHost(roomId, socket.id, "create invites");
+
+      const { inviteId, token, expiresAt } = game.createInvite(roomId, socket.id, ttl);
+      return { inviteId, token, expiresAt, url: inviteUrl(roomId, token) };
+    });
+
+    on("revokeInvite", ({ roomId, inviteId }) => {
+      requireHost(roomId, socket.id, "revoke invites");
+
+      game.revokeInvite(roomId, inviteId);
+    });
+
+    on("listInvites", ({ roomId }) => {
+      requireHost(roomId, socket.id, "see invites");
+
+      return game.listInvites(roomId);
+    });
+
+    on("exportReplay", ({ roomId }) => {
+      const room = game.rooms[roomId];
+      if (!room || !room.players[socket.id]) {
+        throw new GameError(ErrorCodes.NOT_IN_ROOM, "You are not in this room");
       }
+      if (!room.gameState.winner) {
+        throw new GameError(ErrorCodes.GAME_NOT_OVER, "Replays are available once the game has ended");
+      }
+
+      socket.emit("replayExport", exportReplay(game, roomId));
+    });
+
+    on("getPublicRooms", () => {
+      socket.emit("publicRoomsUpdate", game.getPublicRooms());
+      socket.emit("watchableRoomsUpdate", game.getWatchableRooms());
+    });
+
+    on("getBoards", () => game.listBoards());
+    on("getPacks", () => game.listPacks());
+
+    on("createProfile", ({ username, password }) => {
+      // A password makes it an account that can be signed into again
+      return password ? profiles.register(username, password) : profiles.createGuest(username);
+    });
+
+    on("login", ({ username, password }) => profiles.login(username, password));
+
+    on("getProfile", ({ profileId }) => profiles.getProfile(profileId));
+
+    on("getMatchHistory", ({ profileId, limit }) => ({
+      matches: profiles.getMatchHistory(profileId, limit),
+    }));
+
+    on("getLeaderboard", ({ limit, minGames }) => ({
+      leaderboard: profiles.getLeaderboard({ limit, minGames }),
+    }));
+
+    on("quickJoin", () => {
+      const publicRooms = game.getPublicRooms();
+      const availableRoom = publicRooms.find(room =>
+        !game.rooms[room.roomId].hasStarted &&
+        room.playerCount < room.maxPlayers
+      );
+
+      if (!availableRoom) {
+        throw new GameError(ErrorCodes.NO_ROOMS_AVAILABLE, "No available rooms found");
+      }
+
+      socket.emit("quickJoinRoom", availableRoom.roomId);
+      return { roomId: availableRoom.roomId };
+    });
+
+    on("playCard", ({ roomId, cardIndex, targetPlayerId, direction }) => {
+      const result = game.playCard(roomId, socket.id, cardIndex, targetPlayerId, direction);
+      return announceCardPlay(roomId, result);
+    });
+
+    on("playCounter", ({ roomId, cardIndex }) => {
+      return announceCardPlay(roomId, game.playCounter(roomId, socket.id, cardIndex));
+    });
+
+    on("declineCounter", ({ roomId }) => {
+      return announceCardPlay(roomId, game.declineCounter(roomId, socket.id));
     });
 
     socket.on("disconnect", () => {
       try {
         console.log(`Player disconnected: ${socket.id}`);
+        chat.forgetSocket(socket.id);
+        limiter.forgetSocket(socket.id);
         
-        // Find all rooms the player was in
+        // Hold the seat in every room the player was in so they can rejoin
         for (const roomId in game.rooms) {
           const room = game.rooms[roomId];
+          if (game.removeSpectator(roomId, socket.id)) {
+            io.to(roomId).emit("spectatorsUpdate", game.getSpectators(roomId));
+            broadcastLobby();
+          }
           if (room?.players[socket.id]) {
-            // Instead of removing player, mark them as AI-controlled
-            game.handleDisconnectedPlayer(roomId, socket.id);
-
-            // If it was this player's turn, move to next player
-            if (room.gameState.currentTurn === socket.id) {
-              game.endTurn(roomId);
-            }
-
-            // Check if room is empty after player disconnection
-            const remainingPlayers = Object.keys(room.players).length;
-            if (remainingPlayers === 0) {
-              // Clean up room data
-              delete game.rooms[roomId];
-              game.publicRooms.delete(roomId);
-              game.roomPasswords.delete(roomId);
-              console.log(`Room ${roomId} removed due to no players`);
-            } else {
-              io.to(roomId).emit("playerDisconnected", socket.id);
-              io.to(roomId).emit("gameState", game.getGameState(roomId));
+            game.holdSeat(roomId, socket.id, (playerId) => removePlayer(roomId, playerId));
+            io.to(roomId).emit("playerDisconnected", socket.id);
+            // Nobody left to play, so stop the clocks instead of burning turns
+            const { gameStarted, winner } = room.gameState;
+            if (gameStarted && !winner && !room.pause && !game.hasConnectedHumans(roomId)) {
+              game.pauseGame(roomId, io, "disconnected");
             }
+            game.emitGameState(roomId, io);
           }
         }
-
-        // Update public rooms list for all clients
-        io.emit("publicRoomsUpdate", game.getPublicRooms());
       } catch (error) {
         console.error('Error handling disconnect:', error);
       }
     });
   });
+
+  // Picks a restored room back up: holds every seat for its player to
+  // rejoin. A game in progress was restored paused and resumes on the
+  // first rejoin. A room saved with no one to come back gets the same
+  // cleanup as a new room nobody joins.
+  function resumeRoom(roomId) {
+    const room = game.rooms[roomId];
+    if (!room) return;
+
+    const humans = Object.entries(room.players).filter(([, player]) => !player.isBot);
+    humans.forEach(([playerId]) => {
+      game.holdSeat(roomId, playerId, (heldId) => removePlayer(roomId, heldId));
+    });
+    if (!humans.length) game.scheduleEmptyRoomCleanup(roomId);
+  }
+
+  return { resumeRoom };
 }
 
 module.exports = handleSocketConnection;
\ No newline at end of file
@@ -0,0 +1,65 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Keeps one JSON file per room in a directory. Writes go to a temporary file
+ * first and are renamed into place, so a crash never leaves half a snapshot.
+ */
+class FileStore {
+  /**
+   * @param {string} dir - The directory to keep snapshots in.
+   */
+  constructor(dir) {
+    this.dir = path.resolve(dir);
+    fs.mkdirSync(this.dir, { recursive: true });
+  }
+
+  /**
+   * Maps a room ID to its snapshot file.
+   * @param {string} roomId - The room ID.
+   * @returns {string} The file path.
+   */
+  filePath(roomId) {
+    return path.join(this.dir, `${encodeURIComponent(roomId)}.json`);
+  }
+
+  /**
+   * Saves a room snapshot.
+   * @param {string} roomId - The room ID.
+   * @param {Object} snapshot - The snapshot.
+   */
+  save(roomId, snapshot) {
+    const target = this.filePath(roomId);
+    const temp = `${target}.tmp`;
+    fs.writeFileSync(temp, JSON.stringify(snapshot));
+    fs.renameSync(temp, target);
+  }
+
+  /**
+   * Deletes a room snapshot.
+   * @param {string} roomId - The room ID.
+   */
+  remove(roomId) {
+    fs.rmSync(this.filePath(roomId), { force: true });
+  }
+
+  /**
+   * Reads every stored snapshot. Unreadable files are skipped and logged.
+   * @returns {Array} The snapshots.
+   */
+  loadAll() {
+    return fs.readdirSync(this.dir)
+      .filter(file => file.endsWith('.json'))
+      .map(file => {
+        try {
+          return JSON.parse(fs.readFileSync(path.join(this.dir, file), 'utf-8'));
+        } catch (error) {
+          console.error(`Skipping unreadable snapshot ${file}:`, error.message);
+          return null;
+        }
+      })
+      .filter(Boolean);
+  }
+}
+
+module.exports = FileStore;
@@ -0,0 +1,23 @@
+const FileStore = require('./fileStore');
+const MemoryStore = require('./memoryStore');
+
+/**
+ * Creates a room snapshot store. Every driver implements the same three
+ * methods: `save(roomId, snapshot)`, `remove(roomId)` and `loadAll()`.
+ * @param {string} [driver] - "file" or "memory".
+ * @param {Object} [options]
+ * @param {string} [options.dir] - Where the file driver keeps snapshots.
+ * @returns {FileStore|MemoryStore} The store.
+ */
+function createStorage(driver = "file", { dir = "data/rooms" } = {}) {
+  switch (driver) {
+    case "file":
+      return new FileStore(dir);
+    case "memory":
+      return new MemoryStore();
+    default:
+      throw new Error(`Unknown storage driver: ${driver}`);
+  }
+}
+
+module.exports = { createStorage };
@@ -0,0 +1,23 @@
+/**
+ * Keeps snapshots in memory only. Nothing survives a restart; useful for
+ * development and for running without a writable disk.
+ */
+class MemoryStore {
+  constructor() {
+    this.snapshots = new Map();
+  }
+
+  save(roomId, snapshot) {
+    this.snapshots.set(roomId, JSON.parse(JSON.stringify(snapshot)));
+  }
+
+  remove(roomId) {
+    this.snapshots.delete(roomId);
+  }
+
+  loadAll() {
+    return Array.from(this.snapshots.values());
+  }
+}
+
+module.exports = MemoryStore;
@@ -0,0 +1,62 @@
+const { test, mock } = require("node:test");
+const assert = require("node:assert");
+const SurvivalPathGame = require("../gameLogic");
+const { createManualClock } = require("../scheduler");
+const { exportReplay, replayGame } = require("../replay");
+
+const io = { to: () => ({ emit() {} }), sockets: { adapter: { rooms: new Map() } } };
+
+// The live clock fields are the only thing a replay does not reproduce
+function withoutDeadlines(state) {
+  const { pendingReaction } = state.gameState;
+  return {
+    ...state,
+    gameState: {
+      ...state.gameState,
+      turnDeadline: null,
+      roundDeadline: null,
+      pendingReaction: pendingReaction && { ...pendingReaction, deadline: null },
+    },
+  };
+}
+
+test("replaying a finished game rebuilds its final state", () => {
+  mock.method(console, "log", () => {});
+  const clock = createManualClock();
+  const game = new SurvivalPathGame({ clock });
+
+  game.createRoom("room", false, null, { roundTime: 60, boardSize: 18 });
+  game.addPlayerToRoom("room", "h", "Human");
+  game.addBot("room", "smart");
+  game.addBot("room", "greedy");
+  game.startGame("room");
+  // The human's turns are played by a bot too, and a few of them time out
+  game.aiPlayers.set("h", { strategy: "random" });
+
+  const room = game.rooms.room;
+  for (let step = 0; !room.gameState.winner && step < 2000; step++) {
+    const { pendingReaction, currentTurn } = room.gameState;
+    if (step === 20) {
+      game.pauseGame("room", io, "host", "h");
+      clock.advance(5000);
+      game.resumeGame("room", io, "host");
+    }
+    if (pendingReaction) {
+      game.playAIReaction("room", pendingReaction.targetId);
+    } else if (step % 7 === 0) {
+      clock.advance(room.settings.turnTime * 1000);
+      game.recordAction("room", "turnTimeout", { playerId: currentTurn });
+      game.endTurn("room");
+    } else {
+      try {
+        game.playAITurn("room", currentTurn);
+      } catch (error) {
+        game.passTurn("room", currentTurn);
+      }
+    }
+  }
+
+  assert.ok(room.gameState.winner, "the game should finish");
+  const replay = JSON.parse(JSON.stringify(exportReplay(game, "room")));
+  assert.deepStrictEqual(withoutDeadlines(replayGame(replay)), withoutDeadlines(game.getGameState("room")));
+});
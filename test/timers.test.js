@@ -0,0 +1,99 @@
+const { test, beforeEach, mock } = require("node:test");
+const assert = require("node:assert");
+const SurvivalPathGame = require("../gameLogic");
+const { createManualClock } = require("../scheduler");
+
+// Stands in for socket.io; the timers only ever emit through it
+const io = { to: () => ({ emit() {} }), sockets: { adapter: { rooms: new Map() } } };
+
+let clock;
+let game;
+
+// A started two-player game on a clock that only moves when told to
+function startGame(settings = {}) {
+  game.createRoom("room", false, null, settings);
+  game.addPlayerToRoom("room", "a", "Alice");
+  game.addPlayerToRoom("room", "b", "Bob");
+  game.setReady("room", "b", true);
+  game.startGame("room");
+  return game.rooms.room;
+}
+
+beforeEach(() => {
+  mock.method(console, "log", () => {});
+  clock = createManualClock();
+  game = new SurvivalPathGame({ clock });
+});
+
+test("a turn that runs out passes to the next player", () => {
+  const room = startGame();
+  game.resetAndStartTimer("room", io);
+  const first = room.gameState.currentTurn;
+
+  clock.advance(room.settings.turnTime * 1000 - 1);
+  assert.strictEqual(room.gameState.currentTurn, first);
+
+  clock.advance(1);
+  assert.notStrictEqual(room.gameState.currentTurn, first);
+  assert.strictEqual(room.actionLog.at(-1).type, "turnTimeout");
+  assert.strictEqual(room.gameState.turnDeadline, clock.now() + room.settings.turnTime * 1000);
+});
+
+test("a round that runs out ends and the next one starts", () => {
+  const room = startGame({ roundTime: 60 });
+  let timedOut = 0;
+  game.on("roundTimedOut", () => timedOut++);
+
+  clock.advance(59999);
+  assert.strictEqual(room.gameState.currentRound, 1);
+
+  clock.advance(1);
+  assert.strictEqual(room.gameState.currentRound, 2);
+  assert.strictEqual(timedOut, 1);
+  assert.strictEqual(room.gameState.roundDeadline, clock.now() + 60000);
+});
+
+test("a held seat is given up once the grace period ends", () => {
+  const room = startGame();
+  const expired = [];
+  game.holdSeat("room", "b", (playerId) => expired.push(playerId));
+  assert.strictEqual(room.players.b.connected, false);
+
+  clock.advance(game.SEAT_GRACE_PERIOD * 1000 - 1);
+  assert.deepStrictEqual(expired, []);
+
+  clock.advance(1);
+  assert.deepStrictEqual(expired, ["b"]);
+  assert.strictEqual(room.seatHolds.size, 0);
+});
+
+test("a held seat is kept when the player comes back in time", () => {
+  const room = startGame();
+  const expired = [];
+  game.holdSeat("room", "b", (playerId) => expired.push(playerId));
+
+  clock.advance(1000);
+  game.restoreSeat("room", "b", "b2");
+  clock.advance(game.SEAT_GRACE_PERIOD * 1000);
+  assert.deepStrictEqual(expired, []);
+  assert.strictEqual(room.players.b2.connected, true);
+});
+
+test("a host pause resumes by itself with the clocks where they stopped", () => {
+  const room = startGame({ roundTime: 120 });
+  game.resetAndStartTimer("room", io);
+  clock.advance(10000);
+
+  game.pauseGame("room", io, "host", "a");
+  assert.strictEqual(room.gameState.turnDeadline, null);
+  assert.strictEqual(room.gameState.roundDeadline, null);
+
+  clock.advance(game.MAX_PAUSE_TIME * 1000 - 1);
+  assert.ok(room.pause);
+
+  clock.advance(1);
+  assert.strictEqual(room.pause, null);
+  assert.strictEqual(room.gameState.turnDeadline, clock.now() + room.settings.turnTime * 1000 - 10000);
+  assert.strictEqual(room.gameState.roundDeadline, clock.now() + 110000);
+  assert.deepStrictEqual(room.actionLog.slice(-2).map(action => action.type), ["pause", "resume"]);
+});